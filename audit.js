@@ -0,0 +1,154 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import readline from "readline";
+import { normalize } from "libpg-query";
+import { createChildLogger } from "./logger.js";
+
+// SQL with constants replaced by $n placeholders, so the same query shape groups together
+const normalizeSql = async (sql) => {
+    try {
+        return await normalize(sql);
+    } catch {
+        return null;
+    }
+};
+
+const firstLine = (text = '') => text.split('\n')[0];
+
+/**
+ * Append-only JSONL audit trail of tool calls. Every line records one call: timestamp, MCP session and
+ * client, tool, environment, SQL (as given and normalized), parameters, row count, duration, masked
+ * columns and outcome. Lines are only ever appended; search reads the file back.
+ */
+export class AuditLog {
+    // `sessions` names the environment of calls whose result and arguments don't, from the caller's session
+    constructor({ enabled, file }, sessions) {
+        this.enabled = enabled;
+        this.file = file;
+        this.sessions = sessions;
+        // Audited handlers per low-level MCP server, so a replay runs in the caller's own server
+        this.handlers = new WeakMap();
+        this.logger = createChildLogger('Audit');
+    }
+
+    async append(entry) {
+        await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+        await fs.promises.appendFile(this.file, `${JSON.stringify(entry)}\n`, { flag: 'a', mode: 0o600 });
+    }
+
+    /**
+     * Wrap a tool handler so each call is recorded once it finishes, whatever its outcome.
+     * `server` is the low-level MCP server, used for the client's name and version.
+     */
+    wrap(tool, handler, server) {
+        const audited = async (args, extra) => {
+            // Tools without an input schema are called with the request context only
+            const [parameters, context] = extra === undefined ? [{}, args] : [args, extra];
+            const startTime = Date.now();
+            let result;
+            let thrown;
+            try {
+                result = await handler(args, extra);
+                return result;
+            } catch (error) {
+                thrown = error;
+                throw error;
+            } finally {
+                if (this.enabled) {
+                    await this.record(tool, parameters, context, { result, thrown, durationMs: Date.now() - startTime, server })
+                        .catch(error => this.logger.error('Failed to write audit entry', { tool, error: error.message }));
+                }
+            }
+        };
+        if (!this.handlers.has(server)) {
+            this.handlers.set(server, new Map());
+        }
+        this.handlers.get(server).set(tool, audited);
+        return audited;
+    }
+
+    // The audited handler of `tool` as registered on `server`
+    handler(server, tool) {
+        return this.handlers.get(server)?.get(tool);
+    }
+
+    async record(tool, parameters, context = {}, { result, thrown, durationMs, server }) {
+        const structured = result?.structuredContent;
+        const failed = Boolean(thrown) || Boolean(result?.isError);
+        const sql = typeof parameters.query === 'string' ? parameters.query : null;
+        const client = server?.getClientVersion();
+        await this.append({
+            id: crypto.randomUUID(),
+            timestamp: new Date().toISOString(),
+            sessionId: context.sessionId ?? null,
+            client: client ? { name: client.name, version: client.version } : null,
+            // Name of the HTTP auth token the call was made with
+            principal: context.authInfo?.clientId ?? null,
+            tool,
+            environment: structured?.environment ?? parameters.environment ?? this.sessions?.current(context.sessionId) ?? null,
+            sql,
+            normalizedSql: sql ? await normalizeSql(sql) : null,
+            parameters,
+            rowCount: structured?.rowCount ?? null,
+            durationMs,
+            maskedColumns: structured?.maskedColumns ?? [],
+            outcome: failed ? 'error' : 'success',
+            error: thrown ? thrown.message : result?.isError ? firstLine(result.content?.[0]?.text) : null
+        });
+    }
+
+    /**
+     * Entries matching every given filter, newest first. `text` is a case-insensitive substring of the
+     * SQL, parameters or error; `since`/`until` are timestamps Date.parse accepts. Only entries against environments the
+     * session `caller` may use are returned.
+     */
+    async search({ id, tool, environment, sessionId, outcome, text, since, until, limit = 50, caller } = {}) {
+        // Compared as instants, so dates, offsets and timestamps without milliseconds filter correctly
+        const [from, to] = [since, until].map(value => value === undefined ? undefined : Date.parse(value));
+        if (Number.isNaN(from) || Number.isNaN(to)) {
+            throw new Error(`Invalid timestamp: ${Number.isNaN(from) ? since : until}`);
+        }
+        if (!fs.existsSync(this.file)) {
+            return [];
+        }
+
+        const needle = text?.toLowerCase();
+        const matches = [];
+        const lines = readline.createInterface({ input: fs.createReadStream(this.file), crlfDelay: Infinity });
+        for await (const line of lines) {
+            if (!line.trim()) {
+                continue;
+            }
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch {
+                this.logger.warn('Skipping unreadable audit line');
+                continue;
+            }
+            if ((id && entry.id !== id) ||
+                (tool && entry.tool !== tool) ||
+                (environment && entry.environment !== environment) ||
+                (this.sessions && !this.sessions.permits(caller, entry.environment)) ||
+                (sessionId && entry.sessionId !== sessionId) ||
+                (outcome && entry.outcome !== outcome) ||
+                (from !== undefined && Date.parse(entry.timestamp) < from) ||
+                (to !== undefined && Date.parse(entry.timestamp) > to) ||
+                (needle && !`${entry.sql ?? ''} ${JSON.stringify(entry.parameters)} ${entry.error ?? ''}`.toLowerCase().includes(needle))) {
+                continue;
+            }
+            matches.push(entry);
+            // Only the newest `limit` matches are kept
+            if (matches.length > limit) {
+                matches.shift();
+            }
+        }
+        return matches.reverse();
+    }
+
+    async find(id, caller) {
+        const [entry] = await this.search({ id, limit: 1, caller });
+        return entry ?? null;
+    }
+}
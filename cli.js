@@ -0,0 +1,335 @@
+import fs from "fs";
+import readline from "readline";
+import { parseArgs } from "util";
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { InMemoryTransport } from "@modelcontextprotocol/sdk/inMemory.js";
+import { ElicitRequestSchema } from "@modelcontextprotocol/sdk/types.js";
+import { registerTools, createToolContext } from "./tools.js";
+import { registerPrompts } from "./prompts.js";
+import { registerJsonAnalyzer } from "./json-analyzer.js";
+import { registerResources } from "./resources.js";
+import logger, { configureLogging } from "./logger.js";
+import { loadConfig } from "./config.js";
+import { Database } from "./database.js";
+import { AuditLog } from "./audit.js";
+import { McpHttpServer } from "./http-server.js";
+import { OUTPUT_FORMATS } from "./formatters.js";
+
+const { version: VERSION } = JSON.parse(fs.readFileSync(new URL("./package.json", import.meta.url), "utf8"));
+
+const USAGE = `Usage: data-mcp [command] [options]
+
+Commands:
+  serve              Start the MCP server (default)
+  check              Validate the config and test every environment's connectivity
+  query <sql>        Run a read-only query through the query tool ("-" reads the SQL from stdin)
+  tools              List the registered tools and prompts
+
+Options:
+  -c, --config <file>            Config file (default: DATA_MCP_CONFIG or data-mcp.config.{json,yaml,yml})
+  -h, --help                     Show this help
+  -v, --version                  Show the version
+
+serve options:
+  --transport <stdio|http>       Transport to serve (default: stdio)
+  --host <host>, --port <port>   Override the config's http.host and http.port
+
+query options:
+  -e, --env <name>               Environment to query (default: the default environment)
+  -l, --limit <rows>             Maximum rows to return (default: 100, max: 5000)
+  -f, --format <format>          ${OUTPUT_FORMATS.join(', ')} (default: markdown)
+`;
+
+const COMMON_OPTIONS = {
+    config: { type: "string", short: "c" },
+    help: { type: "boolean", short: "h" },
+    version: { type: "boolean", short: "v" }
+};
+
+const COMMAND_OPTIONS = {
+    serve: {
+        transport: { type: "string", default: "stdio" },
+        host: { type: "string" },
+        port: { type: "string" }
+    },
+    check: {},
+    query: {
+        env: { type: "string", short: "e" },
+        limit: { type: "string", short: "l" },
+        format: { type: "string", short: "f", default: "markdown" }
+    },
+    tools: {}
+};
+
+// stdout is reserved for command output (and the MCP messages of `serve --transport stdio`)
+const print = (text = '') => process.stdout.write(`${text}\n`);
+const printError = (text = '') => process.stderr.write(`${text}\n`);
+
+/**
+ * Load the config and build what every command shares: the database, audit log and tool context,
+ * and a factory for MCP servers with every tool, prompt and resource registered, and tool calls audited.
+ */
+const createApp = (configPath) => {
+    const config = loadConfig(configPath);
+    configureLogging(config.logging);
+    const database = new Database(config);
+    const context = createToolContext(database, config);
+    const auditLog = new AuditLog(config.audit, context.sessions);
+
+    const createServer = () => {
+        const server = new McpServer({
+            name: "postgres-mcp",
+            version: VERSION
+        });
+        registerTools(server, database, config, auditLog, context);
+        registerPrompts(server, database);
+        registerResources(server, database, context);
+        registerJsonAnalyzer(server, config, auditLog, context);
+        return server;
+    };
+
+    return { config, database, context, createServer };
+};
+
+// Answer elicitation requests (environment policy confirmations) with a yes/no prompt on the terminal
+const confirmInTerminal = async (request) => {
+    if (!process.stdin.isTTY) {
+        printError(`${request.params.message}\nDeclined: confirmation needs an interactive terminal.`);
+        return { action: "decline" };
+    }
+    const prompt = readline.createInterface({ input: process.stdin, output: process.stderr });
+    try {
+        const answer = await new Promise(resolve => prompt.question(`${request.params.message}\nProceed? [y/N] `, resolve));
+        return /^y(es)?$/i.test(answer.trim())
+            ? { action: "accept", content: { confirm: true } }
+            : { action: "decline" };
+    } finally {
+        prompt.close();
+    }
+};
+
+// An MCP client connected in-process to a fresh server, so commands go through the same tools as MCP clients
+const connectClient = async (app) => {
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    const client = new Client({ name: "data-mcp-cli", version: VERSION }, { capabilities: { elicitation: {} } });
+    client.setRequestHandler(ElicitRequestSchema, confirmInTerminal);
+    await app.createServer().connect(serverTransport);
+    await client.connect(clientTransport);
+    return client;
+};
+
+const serve = async (app, options) => {
+    if (!["stdio", "http"].includes(options.transport)) {
+        throw new Error(`Unknown transport: ${options.transport}. Use stdio or http.`);
+    }
+    logger.info('Starting MCP server initialization', { transport: options.transport });
+
+    // Set once the HTTP transport is serving, so shutdown can close its sessions
+    let httpServer = null;
+
+    // Graceful shutdown handling
+    const shutdown = async (signal) => {
+        logger.info(`Received ${signal}, shutting down gracefully...`);
+        await httpServer?.close();
+        await app.database.close();
+        logger.info('PostgreSQL connection pools closed');
+        process.exit(0);
+    };
+    process.on('SIGINT', () => shutdown('SIGINT'));
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+    if (options.transport === "http") {
+        // Serve every client from this one process over Streamable HTTP (and legacy SSE)
+        httpServer = new McpHttpServer({
+            ...app.config.http,
+            host: options.host ?? app.config.http.host,
+            port: options.port !== undefined ? Number(options.port) : app.config.http.port
+        }, { createServer: app.createServer, sessions: app.context.sessions });
+        const { address, port } = await httpServer.start();
+        logger.info('MCP server initialization completed');
+        printError(`data-mcp listening on http://${address}:${port}${app.config.http.path}`);
+        return 0;
+    }
+
+    const server = app.createServer();
+    logger.info('MCP server initialization completed');
+
+    // Start receiving messages on stdin and sending messages on stdout
+    logger.info('Starting MCP server transport');
+    const transport = new StdioServerTransport();
+    await server.connect(transport);
+    logger.info('MCP server transport started successfully');
+    return 0;
+};
+
+const check = async (configPath) => {
+    let app;
+    try {
+        app = createApp(configPath);
+    } catch (error) {
+        printError(`✗ Config: ${error.message}`);
+        return 1;
+    }
+    print(`✓ Config: ${app.config.source ?? 'environment variables (no config file found)'}`);
+
+    try {
+        const environments = app.database.listEnvironments(app.database.defaultEnvironment);
+        const labels = environments.map(environment => `${environment.name}${environment.isDefault ? ' [default]' : ''}`);
+        const width = Math.max(...labels.map(label => label.length));
+        let failures = 0;
+        for (const [index, environment] of environments.entries()) {
+            const label = labels[index].padEnd(width);
+            if (!environment.configured) {
+                failures++;
+                print(`✗ ${label}  no connection string configured`);
+                continue;
+            }
+            const startTime = Date.now();
+            const health = await app.database.healthCheck(environment.name);
+            if (health.healthy) {
+                print(`✓ ${label}  connected in ${Date.now() - startTime}ms`);
+            } else {
+                failures++;
+                print(`✗ ${label}  ${health.message}: ${health.error}`);
+            }
+        }
+        print(failures > 0
+            ? `\n${failures} of ${environments.length} environments failed`
+            : `\nAll ${environments.length} environments are reachable`);
+        return failures > 0 ? 1 : 0;
+    } finally {
+        await app.database.close();
+    }
+};
+
+const readStdin = async () => {
+    const chunks = [];
+    for await (const chunk of process.stdin) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8').trim();
+};
+
+const query = async (app, options, positionals) => {
+    // Unquoted SQL arrives as several arguments
+    const sql = positionals.join(' ');
+    if (!sql) {
+        throw new Error('Missing SQL. Usage: data-mcp query [--env <name>] "SELECT ..."');
+    }
+    if (!OUTPUT_FORMATS.includes(options.format)) {
+        throw new Error(`Unknown format: ${options.format}. Use one of: ${OUTPUT_FORMATS.join(', ')}`);
+    }
+
+    const client = await connectClient(app);
+    try {
+        const result = await client.callTool({
+            name: "query",
+            arguments: {
+                query: sql === '-' ? await readStdin() : sql,
+                environment: options.env,
+                limit: options.limit !== undefined ? Number(options.limit) : undefined,
+                format: options.format
+            }
+        });
+
+        // The summary goes to stderr so stdout holds only the rows, ready to pipe
+        const [summary, ...data] = result.content;
+        printError(summary.text);
+        for (const content of data) {
+            if (content.type === "resource") {
+                process.stdout.write(Buffer.from(content.resource.blob, 'base64'));
+            } else {
+                print(content.text);
+            }
+        }
+        return result.isError ? 1 : 0;
+    } finally {
+        await client.close();
+        await app.database.close();
+    }
+};
+
+const tools = async (app) => {
+    const client = await connectClient(app);
+    try {
+        const [{ tools: toolList }, { prompts }] = await Promise.all([client.listTools(), client.listPrompts()]);
+        const width = Math.max(...[...toolList, ...prompts].map(entry => entry.name.length));
+        print(`Tools (${toolList.length}):`);
+        toolList.forEach(tool => print(`  ${tool.name.padEnd(width)}  ${tool.title ?? ''}`));
+        print(`\nPrompts (${prompts.length}):`);
+        prompts.forEach(prompt => print(`  ${prompt.name.padEnd(width)}  ${prompt.title ?? ''}`));
+        return 0;
+    } finally {
+        await client.close();
+        await app.database.close();
+    }
+};
+
+/**
+ * Run the data-mcp command line with `argv` (without the node and script paths) and resolve to the exit code.
+ * Without a command the server is started, so `data-mcp` and `data-mcp --transport http` keep working.
+ */
+export const runCli = async (argv) => {
+    const command = argv[0] && !argv[0].startsWith('-') ? argv[0] : 'serve';
+    const args = command === argv[0] ? argv.slice(1) : argv;
+    if (command === 'help') {
+        print(USAGE);
+        return 0;
+    }
+    if (!COMMAND_OPTIONS[command]) {
+        printError(`Unknown command: ${command}\n\n${USAGE}`);
+        return 1;
+    }
+
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args,
+            options: { ...COMMON_OPTIONS, ...COMMAND_OPTIONS[command] },
+            allowPositionals: command === 'query'
+        });
+    } catch (error) {
+        printError(`${error.message}\n\n${USAGE}`);
+        return 1;
+    }
+    const { values: options, positionals } = parsed;
+    if (options.help) {
+        print(USAGE);
+        return 0;
+    }
+    if (options.version) {
+        print(VERSION);
+        return 0;
+    }
+
+    if (command !== 'serve') {
+        // Output piped into e.g. `head` may be cut off; that is not an error
+        process.stdout.on('error', error => {
+            if (error.code !== 'EPIPE') {
+                throw error;
+            }
+            process.exit(0);
+        });
+    }
+
+    try {
+        if (command === 'check') {
+            return await check(options.config);
+        }
+        const app = createApp(options.config);
+        switch (command) {
+            case 'query':
+                return await query(app, options, positionals);
+            case 'tools':
+                return await tools(app);
+            default:
+                return await serve(app, options);
+        }
+    } catch (error) {
+        logger.error('Command failed', { command, error: error.message });
+        printError(`data-mcp ${command}: ${error.message}`);
+        return 1;
+    }
+};
@@ -0,0 +1,317 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { z } from "zod";
+import YAML from "yaml";
+import { createChildLogger, loggingDefaults, LOG_LEVELS, LOG_FORMATS, LOG_ROTATION_INTERVALS } from "./logger.js";
+
+const logger = createChildLogger('Config');
+
+const CONFIG_FILE_NAMES = [
+    'data-mcp.config.json',
+    'data-mcp.config.yaml',
+    'data-mcp.config.yml'
+];
+
+// Exports and the audit trail are state in XDG terms, ingested files are cache: neither belongs in the working directory
+const stateDirectory = (...parts) =>
+    path.join(process.env.XDG_STATE_HOME || path.join(os.homedir(), '.local', 'state'), 'data-mcp', ...parts);
+const cacheDirectory = (...parts) =>
+    path.join(process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache'), 'data-mcp', ...parts);
+
+const poolSchema = z.object({
+    max: z.number().int().positive().default(10), // Maximum number of clients in the pool
+    idleTimeoutMillis: z.number().int().nonnegative().default(30000), // Close idle clients after 30 seconds
+    connectionTimeoutMillis: z.number().int().nonnegative().default(2000), // Return an error after 2 seconds if connection could not be established
+    maxUses: z.number().int().positive().default(7500), // Close (and replace) a connection after it has been used 7500 times
+}).default({});
+
+const policySchema = z.object({
+    maxRows: z.number().int().positive().optional(), // Lower row cap for every query, cursor and export
+    maxPlanCost: z.number().positive().optional(), // Reject queries whose EXPLAIN total cost is higher
+    deniedTables: z.array(z.string()).default([]), // "table" or "schema.table"
+    deniedColumns: z.array(z.string()).default([]), // "column", "table.column" or "schema.table.column"
+    requiresConfirmation: z.boolean().default(false) // Ask the user through MCP elicitation before each query
+}).default({});
+
+const MASKING_STRATEGIES = ['redact', 'hash', 'partial'];
+
+const maskingSchema = z.object({
+    // Columns whose name matches a regular expression (case-insensitive), e.g. "email|phone"
+    columnPatterns: z.array(z.object({
+        pattern: z.string().refine(pattern => {
+            try {
+                new RegExp(pattern);
+                return true;
+            } catch {
+                return false;
+            }
+        }, { message: "Invalid regular expression" }),
+        strategy: z.enum(MASKING_STRATEGIES).default('redact')
+    })).default([]),
+    // Columns read from a specific "table.column" or "schema.table.column", whatever they are aliased to
+    columns: z.array(z.object({
+        column: z.string(),
+        strategy: z.enum(MASKING_STRATEGIES).default('redact')
+    })).default([]),
+    // Values found in any text column
+    detectors: z.array(z.object({
+        type: z.enum(['email', 'creditCard', 'phone']),
+        strategy: z.enum(MASKING_STRATEGIES).default('redact')
+    })).default([]),
+    hashSalt: z.string().optional() // Defaults to a random salt per server start
+}).default({});
+
+const environmentSchema = z.object({
+    description: z.string().optional(),
+    connectionString: z.string().optional(),
+    connectionStringEnv: z.string().optional(),
+    readOnly: z.boolean().default(true),
+    statementTimeoutMillis: z.number().int().nonnegative().default(30000),
+    idleInTransactionSessionTimeoutMillis: z.number().int().nonnegative().default(60000),
+    pool: poolSchema,
+    policy: policySchema,
+    masking: maskingSchema
+}).refine(env => !(env.connectionString && env.connectionStringEnv), {
+    message: "Use either connectionString or connectionStringEnv, not both"
+});
+
+const sqlGuardSchema = z.object({
+    deniedFunctions: z.array(z.string()).default([]),
+    allowedFunctions: z.array(z.string()).default([])
+}).default({});
+
+const cursorsSchema = z.object({
+    idleTimeoutMillis: z.number().int().positive().default(300000), // Close cursors nobody has fetched from for 5 minutes
+    maxOpen: z.number().int().positive().default(5)
+}).default({});
+
+const exportsSchema = z.object({
+    directory: z.string().default(process.env.DATA_MCP_EXPORT_DIR || stateDirectory('exports')),
+    maxBytes: z.number().int().positive().default(1024 * 1024 * 1024), // Abort exports larger than 1 GiB
+    maxRows: z.number().int().positive().default(10000000),
+    batchSize: z.number().int().positive().default(5000) // Rows fetched from the cursor per round trip
+}).default({});
+
+const jsonCacheSchema = z.object({
+    directory: z.string().default(process.env.JSON_CACHE_DIR || cacheDirectory('json')),
+    memoryLimit: z.string().default('1GB') // DuckDB memory limit while ingesting; larger files spill to disk
+}).default({});
+
+const filesSchema = z.object({
+    allowedDirectories: z.array(z.string()).default(
+        (process.env.DATA_MCP_FILE_DIRS || '').split(path.delimiter).filter(Boolean)
+    ),
+    memoryLimit: z.string().default('1GB'),
+    // Let DuckDB download the excel and postgres extensions on first use; false only loads installed ones
+    installExtensions: z.boolean().default(true)
+}).default({});
+
+const analysisSchema = z.object({
+    timeoutMillis: z.number().int().positive().default(10000), // Stop analysis code that runs longer than 10 seconds
+    maxMemoryMb: z.number().int().positive().default(512) // V8 heap limit of the analysis sandbox process
+}).default({});
+
+const sessionsSchema = z.object({
+    environmentResetMillis: z.number().int().nonnegative().default(600000) // setEnvironment reverts after 10 minutes; 0 never reverts
+}).default({});
+
+const auditSchema = z.object({
+    enabled: z.boolean().default(true),
+    file: z.string().default(process.env.DATA_MCP_AUDIT_FILE || stateDirectory('audit', 'audit.jsonl'))
+}).default({});
+
+const httpTokenSchema = z.object({
+    name: z.string(), // Shown in logs and audit entries instead of the token
+    token: z.string().optional(),
+    tokenEnv: z.string().optional(), // Environment variable holding the token, to keep it out of the config file
+    allowedEnvironments: z.array(z.string()).optional() // Environments the token may use (default: all)
+}).refine(token => token.token || token.tokenEnv, {
+    message: "Either token or tokenEnv is required"
+});
+
+const httpSchema = z.object({
+    host: z.string().default(process.env.DATA_MCP_HTTP_HOST || '127.0.0.1'),
+    port: z.number().int().nonnegative().default(Number(process.env.DATA_MCP_HTTP_PORT) || 3000),
+    path: z.string().default('/mcp'), // Streamable HTTP endpoint
+    legacySse: z.boolean().default(true), // Also serve the deprecated HTTP+SSE transport on /sse and /messages
+    sessionIdleTimeoutMillis: z.number().int().nonnegative().default(1800000), // Close sessions idle for 30 minutes; 0 never closes them
+    auth: z.object({
+        tokens: z.array(httpTokenSchema).default([]),
+        apiKeyHeader: z.string().default('x-api-key'), // Accepted alongside "Authorization: Bearer <token>"
+        allowAnonymous: z.boolean().default(false) // Serve without tokens; only for trusted networks
+    }).default({}),
+    cors: z.object({
+        allowedOrigins: z.array(z.string()).default([]), // Browser origins allowed to call the server; "*" allows any
+        maxAgeSeconds: z.number().int().nonnegative().default(600)
+    }).default({})
+}).default({});
+
+// Defaults come from LOG_LEVEL and the DATA_MCP_LOG_* environment variables
+const loggingSchema = z.object({
+    level: z.enum(LOG_LEVELS).default(loggingDefaults.level),
+    format: z.enum(LOG_FORMATS).default(loggingDefaults.format),
+    files: z.boolean().default(loggingDefaults.files), // Write error.log and combined.log to `directory`
+    directory: z.string().default(loggingDefaults.directory),
+    maxBytes: z.number().int().nonnegative().default(loggingDefaults.maxBytes), // Rotate a file before it grows past this; 0 never rotates by size
+    interval: z.enum(LOG_ROTATION_INTERVALS).default(loggingDefaults.interval), // Also rotate when a new day or hour starts
+    maxFiles: z.number().int().nonnegative().default(loggingDefaults.maxFiles), // Rotated files kept per log file
+    maxAgeDays: z.number().nonnegative().default(loggingDefaults.maxAgeDays), // Delete rotated files older than this; 0 keeps them
+    stderr: z.boolean().default(loggingDefaults.stderr) // Mirror log lines to stderr; stdout is never written to
+}).default({});
+
+const configSchema = z.object({
+    defaultEnvironment: z.string().default('default'),
+    environments: z.record(environmentSchema),
+    sqlGuard: sqlGuardSchema,
+    cursors: cursorsSchema,
+    exports: exportsSchema,
+    jsonCache: jsonCacheSchema,
+    files: filesSchema,
+    analysis: analysisSchema,
+    sessions: sessionsSchema,
+    audit: auditSchema,
+    logging: loggingSchema,
+    http: httpSchema
+}).refine(config => Object.keys(config.environments).length > 0, {
+    message: "At least one environment must be configured"
+}).refine(config => config.environments[config.defaultEnvironment], {
+    message: "defaultEnvironment must reference a configured environment"
+}).refine(config => config.http.auth.tokens.every(token =>
+    (token.allowedEnvironments ?? []).every(environment => config.environments[environment])), {
+    message: "http.auth.tokens allowedEnvironments must reference configured environments"
+});
+
+// Used when no config file is found, matching the original DATABASE_URL / DEV_DATABASE_URL / PROD_DATABASE_URL setup
+const legacyConfig = {
+    defaultEnvironment: 'default',
+    environments: {
+        default: { description: 'Primary database', connectionStringEnv: 'DATABASE_URL' },
+        dev: { description: 'Development database', connectionStringEnv: 'DEV_DATABASE_URL' },
+        prod: { description: 'Production database', connectionStringEnv: 'PROD_DATABASE_URL' }
+    }
+};
+
+const findConfigFile = (explicitPath) => {
+    if (explicitPath) {
+        if (!fs.existsSync(explicitPath)) {
+            throw new Error(`Config file not found: ${explicitPath}`);
+        }
+        return explicitPath;
+    }
+
+    return CONFIG_FILE_NAMES
+        .map(name => path.join(process.cwd(), name))
+        .find(candidate => fs.existsSync(candidate));
+};
+
+const parseConfigFile = (filePath) => {
+    const raw = fs.readFileSync(filePath, 'utf8');
+    const extension = path.extname(filePath).toLowerCase();
+    if (extension === '.yaml' || extension === '.yml') {
+        return YAML.parse(raw);
+    }
+    return JSON.parse(raw);
+};
+
+const resolveConnectionString = (name, environment) => {
+    if (environment.connectionString) {
+        return environment.connectionString;
+    }
+    if (environment.connectionStringEnv) {
+        const value = process.env[environment.connectionStringEnv];
+        if (!value) {
+            logger.warn(`Environment variable ${environment.connectionStringEnv} for environment ${name} is not set`);
+        }
+        return value;
+    }
+    return undefined;
+};
+
+// HTTP auth tokens with `tokenEnv` resolved; DATA_MCP_HTTP_TOKEN adds an unrestricted token named "default"
+const resolveHttpTokens = (tokens) => {
+    const configured = process.env.DATA_MCP_HTTP_TOKEN
+        ? [...tokens, { name: 'default', token: process.env.DATA_MCP_HTTP_TOKEN }]
+        : tokens;
+    return configured
+        .map(({ tokenEnv, ...token }) => {
+            if (!token.token && !process.env[tokenEnv]) {
+                logger.warn(`Environment variable ${tokenEnv} for HTTP token ${token.name} is not set`);
+            }
+            return { ...token, token: token.token || process.env[tokenEnv] };
+        })
+        .filter(token => token.token);
+};
+
+/**
+ * Load the environment registry from a JSON/YAML config file.
+ * The file is taken from `configPath`, then DATA_MCP_CONFIG, then data-mcp.config.{json,yaml,yml}
+ * in the working directory; without one, the legacy DATABASE_URL variables are used.
+ */
+export const loadConfig = (configPath = process.env.DATA_MCP_CONFIG) => {
+    const filePath = findConfigFile(configPath);
+    const rawConfig = filePath ? parseConfigFile(filePath) : legacyConfig;
+
+    const parsed = configSchema.safeParse(rawConfig);
+    if (!parsed.success) {
+        const issues = parsed.error.issues
+            .map(issue => `${issue.path.join('.') || 'config'}: ${issue.message}`)
+            .join('; ');
+        throw new Error(`Invalid config${filePath ? ` in ${filePath}` : ''}: ${issues}`);
+    }
+
+    const environments = Object.fromEntries(
+        Object.entries(parsed.data.environments).map(([name, environment]) => [name, {
+            ...environment,
+            name,
+            connectionString: resolveConnectionString(name, environment)
+        }])
+    );
+
+    // Relative paths in a config file are relative to the file itself
+    const baseDirectory = filePath ? path.dirname(filePath) : process.cwd();
+
+    logger.info('Configuration loaded', {
+        source: filePath || 'environment variables',
+        environments: Object.keys(environments),
+        defaultEnvironment: parsed.data.defaultEnvironment
+    });
+
+    return {
+        source: filePath || null,
+        defaultEnvironment: parsed.data.defaultEnvironment,
+        environments,
+        sqlGuard: parsed.data.sqlGuard,
+        cursors: parsed.data.cursors,
+        exports: {
+            ...parsed.data.exports,
+            directory: path.resolve(baseDirectory, parsed.data.exports.directory)
+        },
+        jsonCache: {
+            ...parsed.data.jsonCache,
+            directory: path.resolve(baseDirectory, parsed.data.jsonCache.directory)
+        },
+        files: {
+            ...parsed.data.files,
+            allowedDirectories: parsed.data.files.allowedDirectories
+                .map(directory => path.resolve(baseDirectory, directory))
+        },
+        analysis: parsed.data.analysis,
+        sessions: parsed.data.sessions,
+        audit: {
+            ...parsed.data.audit,
+            file: path.resolve(baseDirectory, parsed.data.audit.file)
+        },
+        logging: {
+            ...parsed.data.logging,
+            directory: path.resolve(baseDirectory, parsed.data.logging.directory)
+        },
+        http: {
+            ...parsed.data.http,
+            auth: {
+                ...parsed.data.http.auth,
+                tokens: resolveHttpTokens(parsed.data.http.auth.tokens)
+            }
+        }
+    };
+};
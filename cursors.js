@@ -0,0 +1,173 @@
+import crypto from "crypto";
+import { createChildLogger } from "./logger.js";
+import { DEFAULT_SESSION } from "./sessions.js";
+
+/**
+ * Server-side cursors for paging through large read-only results.
+ * Each cursor holds a dedicated pooled client with an open READ ONLY transaction,
+ * and is closed when exhausted, when closeCursor is called, or after sitting idle.
+ * A cursor belongs to the MCP session that opened it; other sessions cannot see it.
+ */
+export class CursorManager {
+    constructor(database, { idleTimeoutMillis = 300000, maxOpen = 5 } = {}) {
+        this.database = database;
+        this.idleTimeoutMillis = idleTimeoutMillis;
+        this.maxOpen = maxOpen;
+        this.cursors = new Map();
+        // Cursors whose connection is still being checked out, counted against maxOpen
+        this.opening = 0;
+        this.logger = createChildLogger('Cursors');
+    }
+
+    // `maxRows` caps the rows returned over all pages; the cursor is closed once it is reached
+    async open(query, { pageSize, environment = this.database.defaultEnvironment, maxRows = Infinity, sessionId = DEFAULT_SESSION }) {
+        if (this.cursors.size + this.opening >= this.maxOpen) {
+            throw new Error(`Too many open cursors (max ${this.maxOpen}). Close an existing cursor with closeCursor before opening a new one.`);
+        }
+
+        const settings = this.database.getEnvironment(environment);
+        const cursorId = crypto.randomUUID();
+        // Counted before waiting for a connection, so concurrent opens cannot exceed maxOpen
+        this.opening++;
+        let client;
+        try {
+            client = await this.database.pools[environment].connect();
+            // The transaction has to survive between fetchPage calls, so the database-side
+            // idle timeout is relaxed to just beyond our own idle expiry
+            await this.database.beginReadOnly(client, settings, {
+                idleInTransactionSessionTimeoutMillis: this.idleTimeoutMillis + 60000
+            });
+            await client.query(`DECLARE data_mcp_cursor NO SCROLL CURSOR FOR ${query}`);
+            this.cursors.set(cursorId, {
+                cursorId,
+                client,
+                environment,
+                sessionId,
+                query,
+                maxRows,
+                rowsFetched: 0,
+                pendingRow: null,
+                timer: null,
+                // Settles when the last requested fetch is done; the next one waits for it
+                queue: Promise.resolve()
+            });
+        } catch (error) {
+            if (client) {
+                await client.query('ROLLBACK').catch(() => {});
+                client.release();
+            }
+            throw error;
+        } finally {
+            this.opening--;
+        }
+        this.logger.info('Cursor opened', { cursorId, environment, sessionId });
+
+        return this.fetchPage(cursorId, pageSize, sessionId);
+    }
+
+    // The open cursor `cursorId` of `sessionId`; cursors of other sessions are reported as not found
+    owned(cursorId, sessionId = DEFAULT_SESSION) {
+        const cursor = this.cursors.get(cursorId);
+        if (!cursor || cursor.sessionId !== sessionId) {
+            throw this.notFound(cursorId);
+        }
+        return cursor;
+    }
+
+    notFound(cursorId) {
+        return new Error(`Cursor ${cursorId} not found. It may have been exhausted, closed, or expired after ${Math.round(this.idleTimeoutMillis / 1000)} seconds of inactivity.`);
+    }
+
+    // Fetches on one cursor run one at a time: each reads and advances pendingRow and rowsFetched
+    fetchPage(cursorId, pageSize, sessionId = DEFAULT_SESSION) {
+        const cursor = this.owned(cursorId, sessionId);
+        const page = cursor.queue.then(() => this.fetchNext(cursor, pageSize));
+        cursor.queue = page.catch(() => {});
+        return page;
+    }
+
+    async fetchNext(cursor, pageSize) {
+        const { cursorId } = cursor;
+        // The cursor may have been exhausted or closed by the fetch this one waited for
+        if (this.cursors.get(cursorId) !== cursor) {
+            throw this.notFound(cursorId);
+        }
+
+        clearTimeout(cursor.timer);
+        const startTime = Date.now();
+        try {
+            // Fetch one row ahead so hasMore is exact; the extra row starts the next page
+            const size = Math.min(pageSize, cursor.maxRows - cursor.rowsFetched);
+            const wanted = size + 1 - (cursor.pendingRow ? 1 : 0);
+            const result = await cursor.client.query(`FETCH ${wanted} FROM data_mcp_cursor`);
+            const rows = cursor.pendingRow ? [cursor.pendingRow, ...result.rows] : result.rows;
+
+            const remaining = rows.length > size;
+            const page = remaining ? rows.slice(0, size) : rows;
+            cursor.pendingRow = remaining ? rows[size] : null;
+            const offset = cursor.rowsFetched;
+            cursor.rowsFetched += page.length;
+            const columns = await this.database.describeFields(cursor.client, cursor.environment, result.fields);
+            const truncated = remaining && cursor.rowsFetched >= cursor.maxRows;
+            const hasMore = remaining && !truncated;
+
+            if (hasMore) {
+                this.scheduleExpiry(cursor);
+            } else {
+                await this.close(cursorId);
+            }
+
+            return {
+                cursorId,
+                environment: cursor.environment,
+                query: cursor.query,
+                rows: page,
+                columns,
+                fields: result.fields,
+                offset,
+                rowsFetched: cursor.rowsFetched,
+                hasMore,
+                truncated,
+                durationMs: Date.now() - startTime
+            };
+        } catch (error) {
+            this.logger.error('Cursor fetch failed', { cursorId, error: error.message });
+            await this.close(cursorId);
+            throw error;
+        }
+    }
+
+    scheduleExpiry(cursor) {
+        cursor.timer = setTimeout(() => {
+            this.logger.info('Cursor expired after idle timeout', { cursorId: cursor.cursorId });
+            this.close(cursor.cursorId).catch(error => {
+                this.logger.error('Error closing expired cursor', { cursorId: cursor.cursorId, error: error.message });
+            });
+        }, this.idleTimeoutMillis);
+        cursor.timer.unref();
+    }
+
+    // Close a cursor; with `sessionId`, only when it belongs to that session
+    async close(cursorId, { sessionId } = {}) {
+        const cursor = this.cursors.get(cursorId);
+        if (!cursor || (sessionId !== undefined && cursor.sessionId !== sessionId)) {
+            return false;
+        }
+
+        this.cursors.delete(cursorId);
+        clearTimeout(cursor.timer);
+        try {
+            await cursor.client.query('ROLLBACK');
+            cursor.client.release();
+        } catch (error) {
+            // Discard the connection rather than returning it to the pool in an unknown state
+            cursor.client.release(error);
+        }
+        this.logger.info('Cursor closed', { cursorId, rowsFetched: cursor.rowsFetched });
+        return true;
+    }
+
+    async closeAll() {
+        await Promise.all([...this.cursors.keys()].map(cursorId => this.close(cursorId)));
+    }
+}
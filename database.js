@@ -0,0 +1,264 @@
+import pg from "pg";
+import { createChildLogger } from "./logger.js";
+import { CursorManager } from "./cursors.js";
+
+const { Pool } = pg;
+
+export class Database {
+    constructor(config) {
+        this.logger = createChildLogger('Database');
+        this.environments = config.environments;
+        this.defaultEnvironment = config.defaultEnvironment;
+        this.pools = Object.fromEntries(
+            Object.values(this.environments).map(environment => [environment.name, this.createPool(environment)])
+        );
+        this.typeNames = {};
+        this.tableColumns = {};
+        this.cursors = new CursorManager(this, config.cursors);
+        this.logger.info('Database class initialized', { environments: Object.keys(this.pools) });
+    }
+
+    createPool(environment) {
+        const pool = new Pool({
+            connectionString: environment.connectionString,
+            ...environment.pool,
+            // Read-only environments reject writes at the session level as well
+            options: environment.readOnly ? '-c default_transaction_read_only=on' : undefined
+        });
+        pool.on('error', (error) => {
+            this.logger.error(`Idle client error in ${environment.name} environment`, { error: error.message });
+        });
+        return pool;
+    }
+
+    getEnvironment(environment = this.defaultEnvironment) {
+        const definition = this.environments[environment];
+        if (!definition) {
+            throw new Error(`Environment ${environment} not found. Available environments: ${Object.keys(this.environments).join(', ')}`);
+        }
+        return definition;
+    }
+
+    // `activeEnvironment` is the caller's session environment, flagged as active in the listing
+    listEnvironments(activeEnvironment = this.defaultEnvironment) {
+        return Object.values(this.environments).map(environment => ({
+            name: environment.name,
+            description: environment.description || null,
+            readOnly: environment.readOnly,
+            configured: Boolean(environment.connectionString),
+            active: environment.name === activeEnvironment,
+            isDefault: environment.name === this.defaultEnvironment,
+            policy: environment.policy,
+            pool: {
+                ...environment.pool,
+                totalCount: this.pools[environment.name].totalCount,
+                idleCount: this.pools[environment.name].idleCount,
+                waitingCount: this.pools[environment.name].waitingCount
+            }
+        }));
+    }
+
+    async query(query, { environment = this.defaultEnvironment } = {}) {
+        try {
+            this.getEnvironment(environment);
+            this.logger.info(`Executing query on ${environment} environment`, { query });
+            const client = await this.pools[environment].connect();
+            try {
+                const result = await client.query(query);
+                this.logger.info(`Query executed successfully`, {
+                    rowCount: result.rowCount,
+                    environment
+                });
+                return result;
+            } finally {
+                client.release();
+            }
+        } catch (error) {
+            this.logger.error(`Query execution failed`, {
+                error: error.message,
+                query,
+                environment
+            });
+            throw error;
+        }
+    }
+
+    async beginReadOnly(client, settings, { idleInTransactionSessionTimeoutMillis = settings.idleInTransactionSessionTimeoutMillis } = {}) {
+        await client.query('BEGIN READ ONLY');
+        await client.query(
+            "SELECT set_config('statement_timeout', $1, true), set_config('idle_in_transaction_session_timeout', $2, true)",
+            [String(settings.statementTimeoutMillis), String(idleInTransactionSessionTimeoutMillis)]
+        );
+    }
+
+    // Resolve result field type OIDs to type names, caching them per environment
+    async describeFields(client, environment, fields = []) {
+        const cache = this.typeNames[environment] ??= new Map();
+        const missing = [...new Set(fields.map(field => field.dataTypeID))].filter(oid => !cache.has(oid));
+        if (missing.length > 0) {
+            const result = await client.query(
+                'SELECT oid::int AS oid, format_type(oid, NULL) AS name FROM pg_type WHERE oid = ANY($1::oid[])',
+                [missing]
+            );
+            result.rows.forEach(row => cache.set(row.oid, row.name));
+        }
+        return fields.map(field => ({
+            name: field.name,
+            typeId: field.dataTypeID,
+            typeName: cache.get(field.dataTypeID) || 'unknown'
+        }));
+    }
+
+    /**
+     * The table column each result field reads directly ({ schema, table, column }), or null for computed
+     * fields. Uses the table OID and attribute number pg reports per field; cached per environment.
+     */
+    async columnSources(environment, fields = []) {
+        const cache = this.tableColumns[environment] ??= new Map();
+        const missing = [...new Set(fields.map(field => field.tableID))].filter(oid => oid && !cache.has(oid));
+        if (missing.length > 0) {
+            const result = await this.readQuery(`
+                SELECT a.attrelid::int AS table_id, a.attnum AS column_id, n.nspname AS schema_name,
+                    c.relname AS table_name, a.attname AS column_name
+                FROM pg_attribute a
+                JOIN pg_class c ON c.oid = a.attrelid
+                JOIN pg_namespace n ON n.oid = c.relnamespace
+                WHERE a.attrelid IN (${missing.join(', ')}) AND a.attnum > 0
+            `, { limit: 100000, environment });
+            missing.forEach(oid => cache.set(oid, new Map()));
+            result.rows.forEach(row => cache.get(row.table_id).set(row.column_id, {
+                schema: row.schema_name,
+                table: row.table_name,
+                column: row.column_name
+            }));
+        }
+        return fields.map(field => cache.get(field.tableID)?.get(field.columnID) ?? null);
+    }
+
+    /**
+     * Run a validated read-only query inside a READ ONLY transaction with the environment's timeouts.
+     * Rows are fetched through a cursor so the database stops after `limit + 1` rows, which tells us
+     * whether the result was truncated without materializing it.
+     */
+    async readQuery(query, { limit, statementType = 'SELECT', environment = this.defaultEnvironment } = {}) {
+        const settings = this.getEnvironment(environment);
+        const startTime = Date.now();
+        const client = await this.pools[environment].connect();
+        try {
+            this.logger.info(`Executing read-only query on ${environment} environment`, { query, limit });
+            await this.beginReadOnly(client, settings);
+
+            let result;
+            if (statementType === 'EXPLAIN') {
+                // EXPLAIN cannot be declared as a cursor; its output is a bounded plan anyway
+                result = await client.query(query);
+            } else {
+                await client.query(`DECLARE data_mcp_read_cursor NO SCROLL CURSOR FOR ${query}`);
+                result = await client.query(`FETCH ${limit + 1} FROM data_mcp_read_cursor`);
+            }
+            const columns = await this.describeFields(client, environment, result.fields);
+            await client.query('ROLLBACK');
+
+            const truncated = result.rows.length > limit;
+            const rows = truncated ? result.rows.slice(0, limit) : result.rows;
+            const durationMs = Date.now() - startTime;
+
+            this.logger.info(`Read-only query executed successfully`, {
+                rowCount: rows.length,
+                truncated,
+                durationMs,
+                environment
+            });
+
+            return {
+                rows,
+                columns,
+                fields: result.fields,
+                rowCount: rows.length,
+                truncated,
+                durationMs,
+                environment
+            };
+        } catch (error) {
+            await client.query('ROLLBACK').catch(() => {});
+            this.logger.error(`Read-only query execution failed`, {
+                error: error.message,
+                query,
+                environment
+            });
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // The planner's estimated total cost of a validated SELECT, from EXPLAIN without running it
+    async planCost(query, { environment = this.defaultEnvironment } = {}) {
+        const result = await this.readQuery(`EXPLAIN (FORMAT JSON) ${query}`, { limit: 1, statementType: 'EXPLAIN', environment });
+        return result.rows[0]['QUERY PLAN'][0].Plan['Total Cost'];
+    }
+
+    /**
+     * Stream a validated read-only query in batches of `batchSize` rows through a cursor.
+     * The first batch is always yielded, even when empty, so callers get the column metadata.
+     */
+    async *streamQuery(query, { batchSize = 1000, environment = this.defaultEnvironment } = {}) {
+        const settings = this.getEnvironment(environment);
+        const client = await this.pools[environment].connect();
+        try {
+            this.logger.info(`Streaming read-only query on ${environment} environment`, { query, batchSize });
+            await this.beginReadOnly(client, settings);
+            await client.query(`DECLARE data_mcp_stream_cursor NO SCROLL CURSOR FOR ${query}`);
+
+            let first = true;
+            while (true) {
+                const result = await client.query(`FETCH ${batchSize} FROM data_mcp_stream_cursor`);
+                if (result.rows.length === 0 && !first) {
+                    break;
+                }
+                const columns = await this.describeFields(client, environment, result.fields);
+                yield { rows: result.rows, columns, fields: result.fields };
+                first = false;
+                if (result.rows.length < batchSize) {
+                    break;
+                }
+            }
+        } finally {
+            await client.query('ROLLBACK').catch(() => {});
+            client.release();
+        }
+    }
+
+    async healthCheck(environment = this.defaultEnvironment) {
+        try {
+            this.logger.info(`Performing health check on ${environment} environment`);
+            const client = await this.pools[environment].connect();
+            try {
+                await client.query('SELECT 1');
+            } finally {
+                client.release();
+            }
+            this.logger.info(`Health check passed for ${environment} environment`);
+            return { healthy: true, environment, message: 'Connection successful' };
+        } catch (error) {
+            this.logger.error(`Health check failed for ${environment} environment`, { error: error.message });
+            return {
+                healthy: false,
+                environment,
+                message: 'Connection failed',
+                error: error.message
+            };
+        }
+    }
+
+    async close() {
+        await this.cursors.closeAll();
+        await Promise.all(Object.entries(this.pools).map(async ([name, pool]) => {
+            try {
+                await pool.end();
+            } catch (error) {
+                this.logger.error(`Error closing ${name} connection pool`, { error: error.message });
+            }
+        }));
+    }
+}
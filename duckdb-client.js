@@ -0,0 +1,191 @@
+import fs from "fs";
+import path from "path";
+import duckdb from "duckdb";
+
+export const quoteIdentifier = (name) => `"${String(name).replace(/"/g, '""')}"`;
+
+export const quoteLiteral = (value) => `'${String(value).replace(/'/g, "''")}'`;
+
+// DuckDB returns BIGINT/HUGEINT as bigint; keep them numeric when they fit, strings otherwise
+const toJsValue = (value) => {
+    if (typeof value === 'bigint') {
+        return value >= Number.MIN_SAFE_INTEGER && value <= Number.MAX_SAFE_INTEGER ? Number(value) : value.toString();
+    }
+    if (value instanceof Date) {
+        return Number.isNaN(value.getTime()) ? null : value.toISOString();
+    }
+    if (Array.isArray(value)) {
+        return value.map(toJsValue);
+    }
+    if (value !== null && typeof value === 'object' && !Buffer.isBuffer(value)) {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, toJsValue(item)]));
+    }
+    return value;
+};
+
+export const toJsRows = (rows) => rows.map(toJsValue);
+
+export const FILE_FORMATS = ['json', 'csv', 'tsv', 'parquet', 'xlsx'];
+
+const FORMAT_BY_EXTENSION = {
+    '.json': 'json',
+    '.ndjson': 'json',
+    '.jsonl': 'json',
+    '.csv': 'csv',
+    '.tsv': 'tsv',
+    '.tab': 'tsv',
+    '.parquet': 'parquet',
+    '.xlsx': 'xlsx'
+};
+
+// Files with these extensions hold one JSON value per line; other JSON files may also be a top-level array
+const NEWLINE_DELIMITED_EXTENSIONS = ['.ndjson', '.jsonl'];
+
+// DuckDB extensions needed to read a format
+const FORMAT_EXTENSIONS = {
+    xlsx: 'excel'
+};
+
+export const formatFromExtension = (filePath) => FORMAT_BY_EXTENSION[path.extname(filePath).toLowerCase()];
+
+/**
+ * Detect a data file's format from its extension, falling back to magic bytes
+ * (PAR1 for Parquet, a zip header for XLSX, a leading { or [ for JSON) and finally CSV/TSV.
+ */
+export const detectFileFormat = (filePath) => {
+    const byExtension = formatFromExtension(filePath);
+    if (byExtension) {
+        return byExtension;
+    }
+
+    const buffer = Buffer.alloc(512);
+    const fd = fs.openSync(filePath, 'r');
+    let bytesRead;
+    try {
+        bytesRead = fs.readSync(fd, buffer, 0, buffer.length, 0);
+    } finally {
+        fs.closeSync(fd);
+    }
+    const head = buffer.subarray(0, bytesRead);
+    if (head.subarray(0, 4).toString('latin1') === 'PAR1') {
+        return 'parquet';
+    }
+    if (head.subarray(0, 4).equals(Buffer.from([0x50, 0x4b, 0x03, 0x04]))) {
+        return 'xlsx';
+    }
+    const text = head.toString('utf8').replace(/^\uFEFF/, '').trimStart();
+    if (text.startsWith('{') || text.startsWith('[')) {
+        return 'json';
+    }
+    return text.split(/\r?\n/)[0].includes('\t') ? 'tsv' : 'csv';
+};
+
+/**
+ * Build the DuckDB table function call that reads a file, e.g. read_csv_auto('/data/users.csv', header = true).
+ * Options: delimiter, header and encoding for CSV/TSV; sheet and header for XLSX.
+ */
+export const fileReaderSql = (filePath, format, { delimiter, header, sheet, encoding } = {}) => {
+    const source = quoteLiteral(path.resolve(filePath));
+    const options = [];
+    switch (format) {
+        case 'json': {
+            const newlineDelimited = NEWLINE_DELIMITED_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+            options.push(`format = ${quoteLiteral(newlineDelimited ? 'newline_delimited' : 'auto')}`);
+            return `read_json_auto(${[source, ...options].join(', ')})`;
+        }
+        case 'csv':
+        case 'tsv':
+            // Without an explicit delimiter, CSV delimiters are sniffed from the file
+            if (delimiter !== undefined || format === 'tsv') {
+                options.push(`delim = ${quoteLiteral(delimiter ?? '\t')}`);
+            }
+            if (header !== undefined) {
+                options.push(`header = ${header}`);
+            }
+            if (encoding !== undefined) {
+                options.push(`encoding = ${quoteLiteral(encoding)}`);
+            }
+            return `read_csv_auto(${[source, ...options].join(', ')})`;
+        case 'parquet':
+            return `read_parquet(${source})`;
+        case 'xlsx':
+            if (sheet !== undefined) {
+                options.push(`sheet = ${quoteLiteral(sheet)}`);
+            }
+            if (header !== undefined) {
+                options.push(`header = ${header}`);
+            }
+            return `read_xlsx(${[source, ...options].join(', ')})`;
+        default:
+            throw new Error(`Unsupported file format: ${format}. Supported formats: ${FILE_FORMATS.join(', ')}`);
+    }
+};
+
+/**
+ * Promise wrapper around the callback-based duckdb Database.
+ */
+export class DuckDbClient {
+    constructor(db) {
+        this.db = db;
+    }
+
+    static open(filePath = ':memory:', { readOnly = false } = {}) {
+        return new Promise((resolve, reject) => {
+            const accessMode = readOnly ? duckdb.OPEN_READONLY : duckdb.OPEN_READWRITE | duckdb.OPEN_CREATE;
+            const db = new duckdb.Database(filePath, accessMode, (error) => {
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve(new DuckDbClient(db));
+                }
+            });
+        });
+    }
+
+    all(sql, ...params) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, ...params, (error, rows) => error ? reject(error) : resolve(rows));
+        });
+    }
+
+    run(sql, ...params) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, ...params, (error) => error ? reject(error) : resolve());
+        });
+    }
+
+    exec(sql) {
+        return new Promise((resolve, reject) => {
+            this.db.exec(sql, (error) => error ? reject(error) : resolve());
+        });
+    }
+
+    // INSTALL downloads the extension from DuckDB's repository unless it is already installed. With
+    // `install: false` only an installed extension is loaded; DuckDB would otherwise install it on LOAD
+    async loadExtension(extension, { install = true } = {}) {
+        try {
+            await this.exec(install
+                ? `INSTALL ${extension}; LOAD ${extension};`
+                : `SET autoinstall_known_extensions = false; LOAD ${extension};`);
+        } catch (error) {
+            if (install) {
+                throw error;
+            }
+            throw new Error(`DuckDB extension ${extension} is not installed and files.installExtensions is false. Install it ahead of time with: duckdb -c "INSTALL ${extension}" (${error.message})`);
+        }
+    }
+
+    // Load the DuckDB extensions a file format needs, if any
+    async loadFormatExtension(format, options) {
+        const extension = FORMAT_EXTENSIONS[format];
+        if (extension) {
+            await this.loadExtension(extension, options);
+        }
+    }
+
+    close() {
+        return new Promise((resolve, reject) => {
+            this.db.close((error) => error ? reject(error) : resolve());
+        });
+    }
+}
@@ -0,0 +1,216 @@
+import { createChildLogger } from "./logger.js";
+import { normalizeValue } from "./formatters.js";
+import { quoteIdentifier, quoteLiteral } from "./duckdb-client.js";
+
+// Upper bound on the key/hash rows fetched per environment from mismatched chunks
+const MAX_CHUNK_ROWS = 100000;
+
+// Column names the comparison adds next to the source columns
+const KEY_ALIAS = 'data_mcp_key';
+const HASH_ALIAS = 'data_mcp_row_hash';
+const BUCKET_ALIAS = 'data_mcp_bucket';
+
+// "public.users" -> "public"."users"
+const quoteQualifiedName = (name) => name.split('.').map(quoteIdentifier).join('.');
+
+const sameValue = (left, right) => JSON.stringify(normalizeValue(left)) === JSON.stringify(normalizeValue(right));
+
+/**
+ * Compares the rows of a table or read-only query between two environments, matched by key columns.
+ * Rows are hashed on the database side and grouped into chunks by a hash of their key, so identical
+ * chunks are never transferred; only the key/hash pairs of mismatched chunks and the full rows of a
+ * bounded number of changed keys are fetched. Reported keys and values are masked with each
+ * environment's masking config; for queries, the columns they read are traced from the statement.
+ */
+export class EnvironmentComparer {
+    constructor(database, masker) {
+        this.database = database;
+        this.masker = masker;
+        this.logger = createChildLogger('EnvironmentComparer');
+    }
+
+    // The statement whose rows are compared
+    source({ table, query }) {
+        return table ? `SELECT * FROM ${quoteQualifiedName(table)}` : query;
+    }
+
+    read(environment, query, limit) {
+        return this.database.readQuery(query, { limit, environment });
+    }
+
+    async primaryKey(environment, table) {
+        const result = await this.read(environment, `
+            SELECT a.attname AS name
+            FROM pg_index i
+            JOIN pg_attribute a ON a.attrelid = i.indrelid AND a.attnum = ANY(i.indkey)
+            WHERE i.indrelid = ${quoteLiteral(quoteQualifiedName(table))}::regclass AND i.indisprimary
+            ORDER BY array_position(i.indkey::int2[], a.attnum)
+        `, 100);
+        return result.rows.map(row => row.name);
+    }
+
+    /**
+     * Compare `table` (or the rows of `query`) between the `left` and `right` environments.
+     * `keyColumns` defaults to the table's primary key and is required for queries. Only `columns`
+     * (default: all columns present on both sides) are compared. At most `maxDifferences` keys are
+     * listed per kind of difference.
+     */
+    async compare({ left, right, query, table, keyColumns, columns, chunkSize = 10000, maxDifferences = 100 }) {
+        const startTime = Date.now();
+        this.database.getEnvironment(left);
+        this.database.getEnvironment(right);
+        const source = this.source({ table, query });
+        const onBoth = (run) => Promise.all([run(left), run(right)]);
+
+        this.logger.info('Comparing environments', { left, right, table, query });
+        // How each environment masks the reported values of the source's columns
+        const [leftMasking, rightMasking] = await onBoth(async environment => ({
+            table,
+            traced: table ? null : await this.masker.trace(environment, source)
+        }));
+        const maskingFor = (environment) => environment === left ? leftMasking : rightMasking;
+        const [leftColumns, rightColumns] = await onBoth(async environment => (await this.read(environment, source, 0)).columns);
+        const leftTypes = new Map(leftColumns.map(column => [column.name, column.typeName]));
+        const rightTypes = new Map(rightColumns.map(column => [column.name, column.typeName]));
+
+        const keys = keyColumns?.length ? keyColumns : table ? await this.primaryKey(left, table) : [];
+        if (keys.length === 0) {
+            throw new Error(table
+                ? `Table ${table} has no primary key in the ${left} environment. Pass keyColumns to match rows.`
+                : 'keyColumns is required when comparing a query');
+        }
+        const missingKeys = keys.filter(name => !leftTypes.has(name) || !rightTypes.has(name));
+        if (missingKeys.length > 0) {
+            throw new Error(`Key columns missing from one of the environments: ${missingKeys.join(', ')}`);
+        }
+
+        const shared = leftColumns.map(column => column.name).filter(name => rightTypes.has(name));
+        const compared = (columns ?? shared).filter(name => !keys.includes(name));
+        const missingColumns = compared.filter(name => !shared.includes(name));
+        if (missingColumns.length > 0) {
+            throw new Error(`Columns missing from one of the environments: ${missingColumns.join(', ')}`);
+        }
+
+        const [leftCount, rightCount] = await onBoth(async environment => {
+            const result = await this.read(environment, `SELECT count(*) AS row_count FROM (\n${source}\n) AS src`, 1);
+            return Number(result.rows[0].row_count);
+        });
+        const buckets = Math.max(1, Math.ceil(Math.max(leftCount, rightCount) / chunkSize));
+
+        // Per environment: key columns, key text, a hash of the compared values and the chunk number.
+        // timestamptz values are hashed in UTC so differing session time zones do not count as changes.
+        const hashedSource = (types) => {
+            const keyText = `ROW(${keys.map(name => `src.${quoteIdentifier(name)}`).join(', ')})::text`;
+            const values = compared.map(name => types.get(name) === 'timestamp with time zone'
+                ? `(src.${quoteIdentifier(name)} AT TIME ZONE 'UTC')`
+                : `src.${quoteIdentifier(name)}`);
+            return `SELECT ${keys.map(name => `src.${quoteIdentifier(name)}`).join(', ')}, ` +
+                `${keyText} AS ${KEY_ALIAS}, ` +
+                `md5(ROW(${values.join(', ')})::text) AS ${HASH_ALIAS}, ` +
+                `('x' || substr(md5(${keyText}), 1, 7))::bit(28)::int % ${buckets} AS ${BUCKET_ALIAS} ` +
+                `FROM (\n${source}\n) AS src`;
+        };
+        const typesFor = (environment) => environment === left ? leftTypes : rightTypes;
+
+        const [leftChunks, rightChunks] = await onBoth(async environment => {
+            const result = await this.read(environment, `
+                SELECT ${BUCKET_ALIAS} AS bucket, md5(string_agg(${HASH_ALIAS}, '' ORDER BY ${KEY_ALIAS} COLLATE "C")) AS chunk_hash
+                FROM (${hashedSource(typesFor(environment))}) AS hashed
+                GROUP BY ${BUCKET_ALIAS}
+            `, buckets);
+            return new Map(result.rows.map(row => [row.bucket, row.chunk_hash]));
+        });
+        const mismatched = [...new Set([...leftChunks.keys(), ...rightChunks.keys()])]
+            .filter(bucket => leftChunks.get(bucket) !== rightChunks.get(bucket))
+            .sort((a, b) => a - b);
+
+        let truncated = false;
+        const onlyInLeft = [];
+        const onlyInRight = [];
+        const changed = [];
+        if (mismatched.length > 0) {
+            const [leftRows, rightRows] = await onBoth(async environment => {
+                const result = await this.read(environment, `
+                    SELECT * FROM (${hashedSource(typesFor(environment))}) AS hashed
+                    WHERE ${BUCKET_ALIAS} IN (${mismatched.join(', ')})
+                `, MAX_CHUNK_ROWS);
+                truncated = truncated || result.truncated;
+                return new Map(result.rows.map(row => [row[KEY_ALIAS], row]));
+            });
+            const toKey = (environment, row) => this.masker.maskRecord(environment,
+                Object.fromEntries(keys.map(name => [name, normalizeValue(row[name])])), maskingFor(environment));
+
+            for (const [key, row] of leftRows) {
+                const match = rightRows.get(key);
+                if (!match) {
+                    onlyInLeft.push(toKey(left, row));
+                } else if (match[HASH_ALIAS] !== row[HASH_ALIAS]) {
+                    changed.push(key);
+                }
+            }
+            for (const [key, row] of rightRows) {
+                if (!leftRows.has(key)) {
+                    onlyInRight.push(toKey(right, row));
+                }
+            }
+        }
+
+        const changedRows = changed.length > 0
+            ? await this.describeChanges(changed.slice(0, maxDifferences), { left, right, source, keys, compared, maskingFor })
+            : [];
+
+        const columnTypeDifferences = shared
+            .filter(name => leftTypes.get(name) !== rightTypes.get(name))
+            .map(name => ({ column: name, left: leftTypes.get(name), right: rightTypes.get(name) }));
+        const columnsOnlyInLeft = leftColumns.map(column => column.name).filter(name => !rightTypes.has(name));
+        const columnsOnlyInRight = rightColumns.map(column => column.name).filter(name => !leftTypes.has(name));
+        const durationMs = Date.now() - startTime;
+
+        this.logger.info('Environment comparison completed', {
+            left, right, leftCount, rightCount, mismatchedChunks: mismatched.length, durationMs
+        });
+        return {
+            left: { environment: left, rowCount: leftCount },
+            right: { environment: right, rowCount: rightCount },
+            rowCountDelta: rightCount - leftCount,
+            keyColumns: keys,
+            comparedColumns: compared,
+            columnsOnlyInLeft,
+            columnsOnlyInRight,
+            columnTypeDifferences,
+            chunks: { total: buckets, mismatched: mismatched.length, chunkSize },
+            onlyInLeft: { count: onlyInLeft.length, keys: onlyInLeft.slice(0, maxDifferences) },
+            onlyInRight: { count: onlyInRight.length, keys: onlyInRight.slice(0, maxDifferences) },
+            changed: { count: changed.length, rows: changedRows },
+            identical: mismatched.length === 0 && leftCount === rightCount &&
+                columnsOnlyInLeft.length === 0 && columnsOnlyInRight.length === 0,
+            truncated,
+            durationMs
+        };
+    }
+
+    // Fetch the full rows for changed keys from both environments and list the columns that differ
+    async describeChanges(keyTexts, { left, right, source, keys, compared, maskingFor }) {
+        const keyText = `ROW(${keys.map(name => `src.${quoteIdentifier(name)}`).join(', ')})::text`;
+        const query = `SELECT ${keyText} AS ${KEY_ALIAS}, src.* FROM (\n${source}\n) AS src ` +
+            `WHERE ${keyText} IN (${keyTexts.map(quoteLiteral).join(', ')})`;
+        const [leftRows, rightRows] = await Promise.all([left, right].map(async environment => {
+            const result = await this.read(environment, query, keyTexts.length);
+            return new Map(result.rows.map(row => [row[KEY_ALIAS], row]));
+        }));
+
+        // Values are compared unmasked and masked only for the report
+        const mask = (environment, name, value) =>
+            this.masker.maskRecord(environment, { [name]: normalizeValue(value) }, maskingFor(environment))[name];
+        return keyTexts.filter(key => leftRows.has(key) && rightRows.has(key)).map(key => {
+            const leftRow = leftRows.get(key);
+            const rightRow = rightRows.get(key);
+            return {
+                key: this.masker.maskRecord(left, Object.fromEntries(keys.map(name => [name, normalizeValue(leftRow[name])])), maskingFor(left)),
+                differences: compared
+                    .filter(name => !sameValue(leftRow[name], rightRow[name]))
+                    .map(name => ({ column: name, left: mask(left, name, leftRow[name]), right: mask(right, name, rightRow[name]) }))
+            };
+        });
+    }
+}
@@ -0,0 +1,199 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { once } from "events";
+import { createChildLogger } from "./logger.js";
+import { formatRows } from "./formatters.js";
+import { DuckDbClient, quoteIdentifier, quoteLiteral } from "./duckdb-client.js";
+
+export const EXPORT_FORMATS = ['csv', 'ndjson', 'parquet'];
+
+const EXTENSIONS = {
+    csv: '.csv',
+    ndjson: '.ndjson',
+    parquet: '.parquet'
+};
+
+// PostgreSQL type OIDs mapped to the DuckDB column types used when converting to Parquet.
+// Anything not listed (numeric, text, uuid, ...) is written as VARCHAR to keep it lossless.
+const DUCKDB_TYPES = {
+    16: 'BOOLEAN',
+    20: 'BIGINT',
+    21: 'SMALLINT',
+    23: 'INTEGER',
+    26: 'UBIGINT', // oid is unsigned 32-bit
+    114: 'JSON',
+    700: 'FLOAT',
+    701: 'DOUBLE',
+    1082: 'DATE',
+    1114: 'TIMESTAMP',
+    1184: 'TIMESTAMPTZ',
+    3802: 'JSON'
+};
+
+const sha256File = async (filePath) => {
+    const hash = crypto.createHash('sha256');
+    for await (const chunk of fs.createReadStream(filePath)) {
+        hash.update(chunk);
+    }
+    return hash.digest('hex');
+};
+
+/**
+ * Streams read-only query results to CSV, NDJSON or Parquet files inside the configured export directory.
+ * Rows are fetched through a server-side cursor in batches so large results are never held in memory.
+ */
+export class QueryExporter {
+    constructor(database, { directory, maxBytes, maxRows, batchSize }) {
+        this.database = database;
+        this.directory = directory;
+        this.maxBytes = maxBytes;
+        this.maxRows = maxRows;
+        this.batchSize = batchSize;
+        this.logger = createChildLogger('Exporter');
+    }
+
+    // Only a plain file name is accepted so exports can never escape the export directory
+    resolveTarget(format, fileName) {
+        const name = fileName || `export-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+        if (name !== path.basename(name) || name.startsWith('.')) {
+            throw new Error(`Invalid file name: ${fileName}. Use a plain file name without directories.`);
+        }
+        const extension = EXTENSIONS[format];
+        const target = path.join(this.directory, name.toLowerCase().endsWith(extension) ? name : `${name}${extension}`);
+        if (fs.existsSync(target)) {
+            throw new Error(`Export file already exists: ${target}`);
+        }
+        return target;
+    }
+
+    // `maxRows` lowers the configured row cap, e.g. for an environment policy; `mask` transforms each
+    // batch ({ rows, columns, fields }) before it is written and reports its `maskedColumns`
+    async export(query, { format = 'csv', fileName, environment = this.database.defaultEnvironment, maxRows = this.maxRows, mask, onProgress } = {}) {
+        if (!EXPORT_FORMATS.includes(format)) {
+            throw new Error(`Unsupported export format: ${format}. Supported formats: ${EXPORT_FORMATS.join(', ')}`);
+        }
+
+        const startTime = Date.now();
+        await fs.promises.mkdir(this.directory, { recursive: true });
+        const target = this.resolveTarget(format, fileName);
+        // Parquet is produced by DuckDB from an intermediate NDJSON file
+        const streamPath = format === 'parquet' ? `${target}.ndjson.tmp` : target;
+
+        // Files this export created itself; only those are removed again when it fails
+        const created = new Set();
+        const claim = async (filePath) => {
+            // 'wx' refuses to overwrite a file created since resolveTarget checked for it
+            const handle = await fs.promises.open(filePath, 'wx');
+            created.add(filePath);
+            return handle;
+        };
+
+        this.logger.info('Starting export', { target, format, environment });
+        try {
+            if (format === 'parquet') {
+                // DuckDB overwrites its output file, so the target is claimed before it is written
+                await (await claim(target)).close();
+            }
+            const { rowCount, columns, maskedColumns } = await this.writeRows(query, await claim(streamPath), {
+                format: format === 'parquet' ? 'ndjson' : format,
+                environment,
+                maxRows: Math.min(maxRows, this.maxRows),
+                mask,
+                onProgress
+            });
+            if (format === 'parquet') {
+                await this.convertToParquet(streamPath, target, columns);
+            }
+
+            const { size } = await fs.promises.stat(target);
+            if (size > this.maxBytes) {
+                throw new Error(`Export exceeds the maximum size of ${this.maxBytes} bytes`);
+            }
+            const checksum = await sha256File(target);
+            const durationMs = Date.now() - startTime;
+
+            this.logger.info('Export completed', { target, rowCount, bytes: size, durationMs });
+            return {
+                filePath: target,
+                format,
+                rowCount,
+                bytes: size,
+                checksum: `sha256:${checksum}`,
+                columns,
+                environment,
+                maskedColumns,
+                durationMs
+            };
+        } catch (error) {
+            if (created.has(target)) {
+                await fs.promises.rm(target, { force: true });
+            }
+            this.logger.error('Export failed', { target, error: error.message });
+            throw error;
+        } finally {
+            if (streamPath !== target && created.has(streamPath)) {
+                await fs.promises.rm(streamPath, { force: true });
+            }
+        }
+    }
+
+    // Write the rows of `query` to the open file `handle`, which is closed afterwards
+    async writeRows(query, handle, { format, environment, maxRows, mask, onProgress }) {
+        const output = handle.createWriteStream();
+        let rowCount = 0;
+        let columns = [];
+        const maskedColumns = new Map();
+        try {
+            for await (const streamed of this.database.streamQuery(query, { batchSize: this.batchSize, environment })) {
+                const batch = mask ? await mask(streamed) : streamed;
+                batch.maskedColumns?.forEach(entry => maskedColumns.set(`${entry.column}:${entry.reason}`, entry));
+                if (rowCount === 0) {
+                    columns = batch.columns;
+                }
+                if (rowCount + batch.rows.length > maxRows) {
+                    throw new Error(`Export exceeds the maximum of ${maxRows} rows`);
+                }
+
+                const header = format === 'csv' && rowCount === 0;
+                if (batch.rows.length > 0 || header) {
+                    const text = formatRows(format, batch.columns, batch.rows, { header });
+                    if (!output.write(`${text}\n`)) {
+                        await once(output, 'drain');
+                    }
+                }
+                rowCount += batch.rows.length;
+
+                if (output.bytesWritten + output.writableLength > this.maxBytes) {
+                    throw new Error(`Export exceeds the maximum size of ${this.maxBytes} bytes`);
+                }
+                if (onProgress && batch.rows.length > 0) {
+                    await onProgress({ rowCount, bytes: output.bytesWritten + output.writableLength });
+                }
+            }
+            output.end();
+            await once(output, 'finish');
+            return { rowCount, columns, maskedColumns: [...maskedColumns.values()] };
+        } catch (error) {
+            output.destroy();
+            throw error;
+        }
+    }
+
+    async convertToParquet(sourcePath, target, columns) {
+        const columnTypes = columns
+            .map(column => `${quoteLiteral(column.name)}: ${quoteLiteral(DUCKDB_TYPES[column.typeId] || 'VARCHAR')}`)
+            .join(', ');
+        const selectList = columns.map(column => quoteIdentifier(column.name)).join(', ');
+
+        const duck = await DuckDbClient.open();
+        try {
+            await duck.run(
+                `COPY (SELECT ${selectList} FROM read_json(${quoteLiteral(sourcePath)}, format = 'newline_delimited', columns = {${columnTypes}})) ` +
+                `TO ${quoteLiteral(target)} (FORMAT PARQUET)`
+            );
+        } finally {
+            await duck.close();
+        }
+    }
+}
@@ -0,0 +1,243 @@
+import fs from "fs";
+import path from "path";
+import { createChildLogger } from "./logger.js";
+import { DuckDbClient, detectFileFormat, fileReaderSql, formatFromExtension, quoteIdentifier, quoteLiteral } from "./duckdb-client.js";
+
+// DuckDB functions that read files or reach PostgreSQL directly; access goes through the registered views
+// and the read-only attached database instead
+export const DUCKDB_DENIED_FUNCTIONS = [
+    'read_csv', 'read_csv_auto', 'sniff_csv',
+    'read_json', 'read_json_auto', 'read_json_objects', 'read_json_objects_auto',
+    'read_ndjson', 'read_ndjson_auto', 'read_ndjson_objects',
+    'read_parquet', 'parquet_scan', 'parquet_metadata', 'parquet_schema', 'parquet_file_metadata', 'parquet_kv_metadata',
+    'read_text', 'read_blob', 'read_xlsx', 'glob', 'query', 'query_table',
+    'postgres_query', 'postgres_scan', 'postgres_scan_pushdown', 'postgres_execute', 'postgres_attach'
+];
+
+// Catalog name of the attached PostgreSQL database in federated queries
+export const DATABASE_ALIAS = 'pg';
+
+const ENVIRONMENT = 'files';
+
+/**
+ * Add libpq session options (`-c name=value`) to a connection string in URL or keyword/value form,
+ * keeping any options it already sets.
+ */
+const withSessionOptions = (connectionString, settings) => {
+    const options = Object.entries(settings).map(([name, value]) => `-c ${name}=${value}`).join(' ');
+    if (/^postgres(ql)?:\/\//.test(connectionString)) {
+        const url = new URL(connectionString);
+        const existing = url.searchParams.get('options');
+        url.searchParams.set('options', existing ? `${existing} ${options}` : options);
+        // libpq decodes %XX escapes in URIs but not '+', which URLSearchParams uses for spaces
+        url.search = url.searchParams.toString().replace(/\+/g, '%20');
+        return url.toString();
+    }
+    return `${connectionString} options='${options}'`;
+};
+
+// users.csv -> users, 2024-orders.parquet -> _2024_orders
+export const toViewName = (fileName) => {
+    const base = path.basename(fileName, path.extname(fileName)).replace(/[^A-Za-z0-9_]/g, '_');
+    return /^[0-9]/.test(base) ? `_${base}` : base;
+};
+
+const isInside = (directory, filePath) => {
+    const relative = path.relative(directory, filePath);
+    return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+};
+
+// DuckDB returns DATE values as UTC midnight; report them as calendar dates like the PostgreSQL tools do
+const toCalendarDates = (rows, columns) => {
+    const dateColumns = columns.filter(column => column.typeName === 'DATE').map(column => column.name);
+    if (dateColumns.length === 0) {
+        return rows;
+    }
+    return rows.map(row => {
+        const converted = { ...row };
+        for (const name of dateColumns) {
+            if (converted[name] instanceof Date && !Number.isNaN(converted[name].getTime())) {
+                converted[name] = converted[name].toISOString().slice(0, 10);
+            }
+        }
+        return converted;
+    });
+};
+
+/**
+ * Runs read-only DuckDB SQL over CSV/TSV/JSON/Parquet/XLSX files in allowlisted directories,
+ * optionally joined with a read-only attached PostgreSQL environment.
+ * Files at the top level of each directory are exposed as views named after the file;
+ * other files can be registered explicitly per query. Every query runs in a fresh in-memory
+ * DuckDB whose file system access is restricted to the allowlisted directories.
+ */
+export class FileQueryEngine {
+    constructor({ allowedDirectories, memoryLimit, installExtensions = true }) {
+        this.allowedDirectories = allowedDirectories;
+        this.memoryLimit = memoryLimit;
+        this.installExtensions = installExtensions;
+        this.logger = createChildLogger('FileQuery');
+    }
+
+    // Resolve symlinks before checking the allowlist so links cannot point outside it
+    resolveFile(filePath) {
+        if (this.allowedDirectories.length === 0) {
+            throw new Error('No file directories are allowlisted. Add directories to files.allowedDirectories in the config file.');
+        }
+        const candidate = path.isAbsolute(filePath) ? filePath : path.resolve(this.allowedDirectories[0], filePath);
+        if (!fs.existsSync(candidate)) {
+            throw new Error(`File not found: ${filePath}`);
+        }
+        const realPath = fs.realpathSync(candidate);
+        const allowed = this.allowedDirectories.some(directory => fs.existsSync(directory) && isInside(fs.realpathSync(directory), realPath));
+        if (!allowed) {
+            throw new Error(`File ${filePath} is outside the allowlisted directories: ${this.allowedDirectories.join(', ')}`);
+        }
+        return realPath;
+    }
+
+    // Supported files at the top level of the allowlisted directories; earlier directories win name clashes
+    listFiles() {
+        const files = new Map();
+        for (const directory of this.allowedDirectories) {
+            if (!fs.existsSync(directory)) {
+                this.logger.warn(`Allowlisted directory does not exist: ${directory}`);
+                continue;
+            }
+            const root = fs.realpathSync(directory);
+            for (const entry of fs.readdirSync(root, { withFileTypes: true })) {
+                const format = formatFromExtension(entry.name);
+                const name = toViewName(entry.name);
+                if (entry.isFile() && !entry.name.startsWith('.') && format && !files.has(name)) {
+                    files.set(name, { name, path: path.join(root, entry.name), format });
+                }
+            }
+        }
+        return [...files.values()];
+    }
+
+    /**
+     * Open an in-memory DuckDB restricted to the allowlisted directories. With `attach`
+     * ({ environment, connectionString, statementTimeoutMillis }), the PostgreSQL database is attached
+     * read-only as DATABASE_ALIAS first. The extensions `formats` need are loaded up front as well:
+     * neither is possible once external access is off and the configuration is locked.
+     */
+    async openSandbox({ attach, formats = [] } = {}) {
+        const duck = await DuckDbClient.open();
+        try {
+            const directories = this.allowedDirectories
+                .filter(directory => fs.existsSync(directory))
+                .map(directory => quoteLiteral(`${fs.realpathSync(directory)}${path.sep}`));
+            await duck.exec([
+                `SET memory_limit = ${quoteLiteral(this.memoryLimit)};`,
+                `SET allowed_directories = [${directories.join(', ')}];`
+            ].join(' '));
+            if (attach) {
+                await this.attachDatabase(duck, attach);
+            }
+            for (const format of new Set(formats)) {
+                await duck.loadFormatExtension(format, { install: this.installExtensions });
+            }
+            await duck.exec('SET enable_external_access = false; SET lock_configuration = true;');
+            return duck;
+        } catch (error) {
+            await duck.close();
+            throw error;
+        }
+    }
+
+    async attachDatabase(duck, { environment, connectionString, statementTimeoutMillis }) {
+        // The PostgreSQL session itself is read-only and bounded by the environment's statement timeout
+        const sessionConnectionString = withSessionOptions(connectionString, {
+            default_transaction_read_only: 'on',
+            statement_timeout: statementTimeoutMillis
+        });
+        try {
+            await duck.loadExtension('postgres', { install: this.installExtensions });
+            await duck.run(`ATTACH ${quoteLiteral(sessionConnectionString)} AS ${DATABASE_ALIAS} (TYPE POSTGRES, READ_ONLY)`);
+        } catch (error) {
+            // Never echo credentials from the connection string back to the caller
+            const message = error.message.split(sessionConnectionString).join('<connection string>').split(connectionString).join('<connection string>');
+            throw new Error(`Failed to attach the ${environment} environment: ${message}`);
+        }
+        this.logger.info('Attached PostgreSQL environment', { environment, alias: DATABASE_ALIAS });
+    }
+
+    /**
+     * The views a query needs: explicit `tables` entries, plus discovered files whose view name
+     * appears in the query text (registering every file would read every header).
+     */
+    resolveViews(query, tables = []) {
+        const views = new Map();
+        for (const file of this.listFiles()) {
+            if (new RegExp(`\\b${file.name}\\b`, 'i').test(query)) {
+                views.set(file.name.toLowerCase(), file);
+            }
+        }
+        for (const table of tables) {
+            const filePath = this.resolveFile(table.path);
+            views.set(table.name.toLowerCase(), {
+                ...table,
+                path: filePath,
+                format: table.format || detectFileFormat(filePath)
+            });
+        }
+        return [...views.values()];
+    }
+
+    // Create `views` in a sandbox opened with their formats
+    async registerViews(duck, views) {
+        for (const view of views) {
+            await duck.run(`CREATE VIEW ${quoteIdentifier(view.name)} AS SELECT * FROM ${fileReaderSql(view.path, view.format, view)}`);
+        }
+    }
+
+    async describe(duck, query) {
+        const rows = await duck.all(`DESCRIBE ${query}`);
+        return rows.map(row => ({ name: row.column_name, typeName: row.column_type }));
+    }
+
+    /**
+     * Run a validated read-only statement (as returned by validateReadOnlyQuery), fetching at most
+     * `limit + 1` rows to detect truncation. Returns the same shape as Database.readQuery,
+     * with DuckDB type names in `columns`. Pass `attach` to also query a PostgreSQL environment.
+     */
+    async query(statement, { limit, statementType = 'SELECT', tables = [], attach } = {}) {
+        const startTime = Date.now();
+        const views = this.resolveViews(statement, tables);
+        const duck = await this.openSandbox({ attach, formats: views.map(view => view.format) });
+        try {
+            this.logger.info('Executing file query', { query: statement, limit });
+            await this.registerViews(duck, views);
+
+            let rows, columns;
+            if (statementType === 'EXPLAIN') {
+                rows = await duck.all(statement);
+                columns = Object.keys(rows[0] || {}).map(name => ({ name, typeName: 'VARCHAR' }));
+            } else {
+                columns = await this.describe(duck, statement);
+                rows = await duck.all(`SELECT * FROM (\n${statement}\n) AS data_mcp_result LIMIT ${limit + 1}`);
+            }
+
+            const truncated = rows.length > limit;
+            const result = truncated ? rows.slice(0, limit) : rows;
+            const durationMs = Date.now() - startTime;
+            this.logger.info('File query executed successfully', { rowCount: result.length, truncated, durationMs });
+
+            return {
+                rows: toCalendarDates(result, columns),
+                columns,
+                rowCount: result.length,
+                truncated,
+                durationMs,
+                environment: attach ? attach.environment : ENVIRONMENT,
+                views: views.map(view => ({ name: view.name, path: view.path, format: view.format }))
+            };
+        } catch (error) {
+            this.logger.error('File query failed', { query: statement, error: error.message });
+            throw error;
+        } finally {
+            await duck.close();
+        }
+    }
+}
@@ -0,0 +1,221 @@
+import crypto from "crypto";
+import {
+    Table,
+    vectorFromArray,
+    Bool,
+    Int16,
+    Int32,
+    Int64,
+    Uint32,
+    Float32,
+    Float64,
+    Utf8,
+    Binary,
+    DateMillisecond,
+    TimestampMillisecond,
+    tableToIPC
+} from "apache-arrow";
+
+export const OUTPUT_FORMATS = ['json', 'ndjson', 'csv', 'markdown', 'arrow'];
+
+// PostgreSQL type OIDs that need type-specific serialization
+const PG_TYPES = {
+    BOOL: 16,
+    BYTEA: 17,
+    INT8: 20,
+    INT2: 21,
+    INT4: 23,
+    OID: 26,
+    FLOAT4: 700,
+    FLOAT8: 701,
+    DATE: 1082,
+    TIMESTAMP: 1114,
+    TIMESTAMPTZ: 1184
+};
+
+/**
+ * Convert a value returned by pg into its JSON-safe representation:
+ * bigint and numeric stay strings, timestamps become ISO-8601, bytea becomes \x-prefixed hex,
+ * arrays and json/jsonb stay nested.
+ */
+export const normalizeValue = (value) => {
+    if (value === null || value === undefined) {
+        return null;
+    }
+    if (typeof value === 'bigint') {
+        return value.toString();
+    }
+    if (value instanceof Date) {
+        return Number.isNaN(value.getTime()) ? null : value.toISOString();
+    }
+    if (Buffer.isBuffer(value)) {
+        return `\\x${value.toString('hex')}`;
+    }
+    if (Array.isArray(value)) {
+        return value.map(normalizeValue);
+    }
+    if (typeof value.toJSON === 'function') {
+        return normalizeValue(value.toJSON());
+    }
+    if (typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, normalizeValue(item)]));
+    }
+    return value;
+};
+
+// pg parses date columns as local midnight; keep them as calendar dates rather than shifting to UTC
+const formatDate = (value) => [
+    value.getFullYear(),
+    String(value.getMonth() + 1).padStart(2, '0'),
+    String(value.getDate()).padStart(2, '0')
+].join('-');
+
+export const normalizeRows = (rows, columns = []) => {
+    const dateColumns = new Set(columns.filter(column => column.typeId === PG_TYPES.DATE).map(column => column.name));
+    return rows.map(row => Object.fromEntries(Object.entries(row).map(([name, value]) => [
+        name,
+        dateColumns.has(name) && value instanceof Date && !Number.isNaN(value.getTime()) ? formatDate(value) : normalizeValue(value)
+    ])));
+};
+
+// Columns for rows that did not come with pg field metadata (e.g. analysis results)
+export const inferColumns = (rows) => {
+    const names = new Set();
+    rows.forEach(row => Object.keys(row).forEach(name => names.add(name)));
+    return [...names].map(name => ({ name }));
+};
+
+const toCellText = (value) => {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+const escapeCsv = (text) => /[",\r\n]/.test(text) || text !== text.trim()
+    ? `"${text.replace(/"/g, '""')}"`
+    : text;
+
+const escapeMarkdown = (text) => text.replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+
+const toCsv = (columns, rows, { header = true } = {}) => {
+    const lines = header ? [columns.map(column => escapeCsv(column.name)).join(',')] : [];
+    for (const row of rows) {
+        lines.push(columns.map(column => escapeCsv(toCellText(row[column.name]))).join(','));
+    }
+    return lines.join('\n');
+};
+
+const toMarkdown = (columns, rows) => {
+    const lines = [
+        `| ${columns.map(column => escapeMarkdown(column.name)).join(' | ')} |`,
+        `| ${columns.map(() => '---').join(' | ')} |`
+    ];
+    for (const row of rows) {
+        lines.push(`| ${columns.map(column => escapeMarkdown(toCellText(row[column.name]))).join(' | ')} |`);
+    }
+    return lines.join('\n');
+};
+
+const arrowTypeFor = (column, values) => {
+    switch (column.typeId) {
+        case PG_TYPES.BOOL: return new Bool();
+        case PG_TYPES.INT2: return new Int16();
+        case PG_TYPES.INT4: return new Int32();
+        // OIDs are unsigned 32-bit and exceed the Int32 range above 2^31 - 1
+        case PG_TYPES.OID: return new Uint32();
+        case PG_TYPES.INT8: return new Int64();
+        case PG_TYPES.FLOAT4: return new Float32();
+        case PG_TYPES.FLOAT8: return new Float64();
+        case PG_TYPES.DATE: return new DateMillisecond();
+        case PG_TYPES.TIMESTAMP:
+        case PG_TYPES.TIMESTAMPTZ: return new TimestampMillisecond();
+        case PG_TYPES.BYTEA: return new Binary();
+        case undefined: break;
+        // numeric, text, json/jsonb, arrays and everything else are carried as text
+        default: return new Utf8();
+    }
+
+    // Without a PostgreSQL type, infer from the JavaScript values
+    const sample = values.find(value => value !== null && value !== undefined);
+    if (typeof sample === 'boolean') return new Bool();
+    if (typeof sample === 'bigint') return new Int64();
+    if (typeof sample === 'number' && values.every(value => value == null || typeof value === 'number')) return new Float64();
+    if (sample instanceof Date) return new TimestampMillisecond();
+    if (Buffer.isBuffer(sample)) return new Binary();
+    return new Utf8();
+};
+
+const toArrowValue = (value, type) => {
+    if (value === null || value === undefined) {
+        return null;
+    }
+    if (type instanceof Int64) {
+        return BigInt(value);
+    }
+    if (type instanceof Utf8) {
+        return toCellText(normalizeValue(value));
+    }
+    // Like formatDate: the local calendar date pg parsed, written as UTC midnight as Arrow dates are
+    if (type instanceof DateMillisecond && value instanceof Date && !Number.isNaN(value.getTime())) {
+        return new Date(Date.UTC(value.getFullYear(), value.getMonth(), value.getDate()));
+    }
+    if ((type instanceof TimestampMillisecond || type instanceof DateMillisecond) && !(value instanceof Date)) {
+        return new Date(value);
+    }
+    return value;
+};
+
+const toArrowBase64 = (columns, rows) => {
+    const vectors = {};
+    for (const column of columns) {
+        const values = rows.map(row => row[column.name]);
+        const type = arrowTypeFor(column, values);
+        vectors[column.name] = vectorFromArray(values.map(value => toArrowValue(value, type)), type);
+    }
+    return Buffer.from(tableToIPC(new Table(vectors), 'stream')).toString('base64');
+};
+
+/**
+ * Serialize rows in one of OUTPUT_FORMATS. `columns` are { name, typeId } entries as returned by
+ * Database.describeFields; arrow output is base64-encoded Arrow IPC stream bytes.
+ * Pass `{ header: false }` to omit the CSV header when appending batches.
+ */
+export const formatRows = (format, columns, rows, options = {}) => {
+    switch (format) {
+        case 'json':
+            return JSON.stringify(normalizeRows(rows, columns), null, 2);
+        case 'ndjson':
+            return normalizeRows(rows, columns).map(row => JSON.stringify(row)).join('\n');
+        case 'csv':
+            return toCsv(columns, normalizeRows(rows, columns), options);
+        case 'markdown':
+            return toMarkdown(columns, normalizeRows(rows, columns));
+        case 'arrow':
+            return toArrowBase64(columns, rows);
+        default:
+            throw new Error(`Unsupported output format: ${format}. Supported formats: ${OUTPUT_FORMATS.join(', ')}`);
+    }
+};
+
+/**
+ * Build the MCP content item carrying formatted rows: text for the textual formats,
+ * an embedded binary resource for Arrow.
+ */
+export const toFormattedContent = (format, columns, rows) => {
+    const formatted = formatRows(format, columns, rows);
+    if (format === 'arrow') {
+        return {
+            type: "resource",
+            resource: {
+                uri: `data-mcp://results/${crypto.randomUUID()}.arrow`,
+                mimeType: "application/vnd.apache.arrow.stream",
+                blob: formatted
+            }
+        };
+    }
+    return {
+        type: "text",
+        text: formatted
+    };
+};
@@ -0,0 +1,283 @@
+import http from "http";
+import crypto from "crypto";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
+import { isInitializeRequest } from "@modelcontextprotocol/sdk/types.js";
+import { createChildLogger } from "./logger.js";
+
+const SSE_PATH = '/sse';
+const SSE_MESSAGES_PATH = '/messages';
+const HEALTH_PATH = '/healthz';
+
+// Same limit as the SDK transports apply to message bodies they read themselves
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+
+// Who a request is made for when allowAnonymous is set and it carries no token
+const ANONYMOUS = { name: 'anonymous' };
+
+const digest = (value) => crypto.createHash('sha256').update(value).digest();
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+const sendJson = (res, status, body, headers = {}) => {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers }).end(JSON.stringify(body));
+};
+
+// Errors are JSON-RPC error responses, like the ones the SDK transports send
+const sendError = (res, status, message, headers) =>
+    sendJson(res, status, { jsonrpc: '2.0', error: { code: -32000, message }, id: null }, headers);
+
+const readJsonBody = async (req) => {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+            throw new HttpError(413, `Request body exceeds ${MAX_BODY_BYTES} bytes`);
+        }
+        chunks.push(chunk);
+    }
+    try {
+        return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch {
+        throw new HttpError(400, 'Request body is not valid JSON');
+    }
+};
+
+/**
+ * Serves MCP to many clients over Streamable HTTP on `path`, and optionally the legacy HTTP+SSE transport
+ * on /sse and /messages, so one centrally credentialed server can be shared. Every request except
+ * /healthz and CORS preflights needs a configured token, sent as "Authorization: Bearer <token>" or in
+ * the API key header. Each MCP session gets its own server from `createServer`, stays bound to the
+ * token that opened it, and is limited to the token's allowedEnvironments through `sessions`.
+ */
+export class McpHttpServer {
+    constructor({ host, port, path, legacySse, sessionIdleTimeoutMillis, auth, cors }, { createServer, sessions }) {
+        this.host = host;
+        this.port = port;
+        this.path = path;
+        this.legacySse = legacySse;
+        this.sessionIdleTimeoutMillis = sessionIdleTimeoutMillis;
+        this.auth = auth;
+        this.cors = cors;
+        this.createServer = createServer;
+        this.sessions = sessions;
+        this.tokens = auth.tokens.map(token => ({ ...token, digest: digest(token.token) }));
+        // sessionId -> { transport, server, principal, lastActive }
+        this.active = new Map();
+        this.startedAt = Date.now();
+        this.logger = createChildLogger('HttpServer');
+    }
+
+    async start() {
+        if (this.tokens.length === 0 && !this.auth.allowAnonymous) {
+            throw new Error('The HTTP transport needs at least one token in http.auth.tokens (or DATA_MCP_HTTP_TOKEN), or http.auth.allowAnonymous');
+        }
+
+        this.httpServer = http.createServer((req, res) => this.handle(req, res));
+        await new Promise((resolve, reject) => {
+            this.httpServer.once('error', reject);
+            this.httpServer.listen(this.port, this.host, resolve);
+        });
+        if (this.sessionIdleTimeoutMillis > 0) {
+            this.sweeper = setInterval(() => this.closeIdleSessions(), Math.min(this.sessionIdleTimeoutMillis, 60000));
+            this.sweeper.unref();
+        }
+
+        const { address, port } = this.httpServer.address();
+        this.logger.info('HTTP transport listening', {
+            address,
+            port,
+            path: this.path,
+            legacySse: this.legacySse,
+            tokens: this.tokens.map(token => token.name),
+            allowAnonymous: this.auth.allowAnonymous
+        });
+        return { address, port };
+    }
+
+    async handle(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        try {
+            if (!this.applyCors(req, res)) {
+                this.logger.warn('Request from disallowed origin rejected', { origin: req.headers.origin, path: url.pathname });
+                return sendError(res, 403, 'Origin not allowed');
+            }
+            if (req.method === 'OPTIONS') {
+                return this.preflight(res);
+            }
+            if (url.pathname === HEALTH_PATH && req.method === 'GET') {
+                return sendJson(res, 200, {
+                    status: 'ok',
+                    sessions: this.active.size,
+                    uptimeSeconds: Math.round((Date.now() - this.startedAt) / 1000)
+                });
+            }
+
+            const principal = this.authenticate(req);
+            if (!principal) {
+                this.logger.warn('Unauthenticated request rejected', { path: url.pathname, remoteAddress: req.socket.remoteAddress });
+                return sendError(res, 401, 'Unauthorized', { 'WWW-Authenticate': 'Bearer realm="data-mcp"' });
+            }
+            // The SDK transports pass req.auth to tool handlers as extra.authInfo
+            req.auth = {
+                token: principal.token ?? '',
+                clientId: principal.name,
+                scopes: [],
+                extra: { allowedEnvironments: principal.allowedEnvironments ?? null }
+            };
+
+            if (url.pathname === this.path) {
+                return await this.handleStreamableHttp(req, res, principal);
+            }
+            if (this.legacySse && url.pathname === SSE_PATH && req.method === 'GET') {
+                return await this.openSseStream(res, principal);
+            }
+            if (this.legacySse && url.pathname === SSE_MESSAGES_PATH && req.method === 'POST') {
+                return await this.handleSseMessage(req, res, principal, url.searchParams.get('sessionId'));
+            }
+            sendError(res, 404, 'Not found');
+        } catch (error) {
+            if (!error.status) {
+                this.logger.error('HTTP request failed', { method: req.method, path: url.pathname, error: error.message });
+            }
+            if (!res.headersSent) {
+                sendError(res, error.status ?? 500, error.status ? error.message : 'Internal server error');
+            }
+        }
+    }
+
+    // The configured token the request carries, ANONYMOUS when anonymous access is allowed, otherwise null
+    authenticate(req) {
+        const presented = req.headers.authorization?.match(/^Bearer\s+(.+)$/i)?.[1]
+            ?? req.headers[this.auth.apiKeyHeader.toLowerCase()];
+        if (!presented) {
+            return this.auth.allowAnonymous ? ANONYMOUS : null;
+        }
+        // Compare digests so the comparison takes the same time whatever the token's length
+        const presentedDigest = digest(presented);
+        return this.tokens.find(token => crypto.timingSafeEqual(token.digest, presentedDigest)) ?? null;
+    }
+
+    // Requests without an Origin header come from non-browser clients; browser origins must be allowed
+    applyCors(req, res) {
+        const origin = req.headers.origin;
+        if (!origin) {
+            return true;
+        }
+        const { allowedOrigins } = this.cors;
+        if (!allowedOrigins.includes('*') && !allowedOrigins.includes(origin)) {
+            return false;
+        }
+        res.setHeader('Access-Control-Allow-Origin', origin);
+        res.setHeader('Vary', 'Origin');
+        res.setHeader('Access-Control-Expose-Headers', 'Mcp-Session-Id, WWW-Authenticate');
+        return true;
+    }
+
+    preflight(res) {
+        res.writeHead(204, {
+            'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+            'Access-Control-Allow-Headers': `Content-Type, Authorization, Mcp-Session-Id, Mcp-Protocol-Version, Last-Event-ID, ${this.auth.apiKeyHeader}`,
+            'Access-Control-Max-Age': String(this.cors.maxAgeSeconds)
+        }).end();
+    }
+
+    // The open session `sessionId` of the given transport type, checked to belong to `principal`
+    session(sessionId, principal, Transport) {
+        const session = this.active.get(sessionId);
+        if (!session || !(session.transport instanceof Transport)) {
+            throw new HttpError(404, 'Session not found');
+        }
+        if (session.principal !== principal.name) {
+            this.logger.warn('Request for another token\'s session rejected', { sessionId, principal: principal.name });
+            throw new HttpError(403, 'Session belongs to another token');
+        }
+        session.lastActive = Date.now();
+        return session;
+    }
+
+    async handleStreamableHttp(req, res, principal) {
+        const body = req.method === 'POST' ? await readJsonBody(req) : undefined;
+        const sessionId = req.headers['mcp-session-id'];
+        if (sessionId) {
+            const { transport } = this.session(sessionId, principal, StreamableHTTPServerTransport);
+            return transport.handleRequest(req, res, body);
+        }
+        if (!isInitializeRequest(body)) {
+            throw new HttpError(400, 'Bad Request: No valid session ID provided');
+        }
+
+        const server = this.createServer();
+        const transport = new StreamableHTTPServerTransport({
+            sessionIdGenerator: () => crypto.randomUUID(),
+            onsessioninitialized: (id) => this.addSession(id, { transport, server, principal })
+        });
+        transport.onclose = () => this.closeSession(transport.sessionId);
+        await server.connect(transport);
+        await transport.handleRequest(req, res, body);
+    }
+
+    async openSseStream(res, principal) {
+        const server = this.createServer();
+        const transport = new SSEServerTransport(SSE_MESSAGES_PATH, res);
+        this.addSession(transport.sessionId, { transport, server, principal });
+        transport.onclose = () => this.closeSession(transport.sessionId);
+        await server.connect(transport);
+    }
+
+    async handleSseMessage(req, res, principal, sessionId) {
+        const { transport } = this.session(sessionId, principal, SSEServerTransport);
+        await transport.handlePostMessage(req, res);
+    }
+
+    addSession(sessionId, { transport, server, principal }) {
+        this.active.set(sessionId, { transport, server, principal: principal.name, lastActive: Date.now() });
+        if (principal.allowedEnvironments) {
+            this.sessions.restrict(sessionId, principal.allowedEnvironments);
+        }
+        this.logger.info('HTTP session opened', {
+            sessionId,
+            principal: principal.name,
+            transport: transport instanceof SSEServerTransport ? 'sse' : 'streamable-http'
+        });
+    }
+
+    async closeSession(sessionId) {
+        const session = this.active.get(sessionId);
+        if (!session) {
+            return;
+        }
+        // Removed first: closing the server closes the transport, which calls back here
+        this.active.delete(sessionId);
+        this.sessions.end(sessionId);
+        await session.server.close().catch(error =>
+            this.logger.error('Failed to close MCP session', { sessionId, error: error.message }));
+        this.logger.info('HTTP session closed', { sessionId, principal: session.principal });
+    }
+
+    async closeIdleSessions() {
+        const cutoff = Date.now() - this.sessionIdleTimeoutMillis;
+        for (const [sessionId, session] of [...this.active]) {
+            if (session.lastActive < cutoff) {
+                this.logger.info('Closing idle HTTP session', { sessionId, principal: session.principal });
+                await this.closeSession(sessionId);
+            }
+        }
+    }
+
+    async close() {
+        clearInterval(this.sweeper);
+        await Promise.all([...this.active.keys()].map(sessionId => this.closeSession(sessionId)));
+        if (this.httpServer) {
+            this.httpServer.closeAllConnections();
+            await new Promise(resolve => this.httpServer.close(resolve));
+        }
+        this.logger.info('HTTP transport closed');
+    }
+}
@@ -3,76 +3,170 @@ import * as dfd from "danfojs-node";
 import fs from "fs";
 import path from "path";
 import crypto from "crypto";
+import vm from "vm";
+import { createChildLogger } from "./logger.js";
+import { runAnalysisSteps } from "./sandbox.js";
+import { toViewName } from "./file-query.js";
+import { DuckDbClient, FILE_FORMATS, detectFileFormat, fileReaderSql, quoteLiteral, toJsRows } from "./duckdb-client.js";
+
+const logger = createChildLogger('JsonAnalyzer');
+
+// Rows of a DataFrame, Series or array result kept for the report
+const MAX_RESULT_ROWS = 100;
+
+const FORMAT_LABELS = {
+    json: 'JSON',
+    csv: 'CSV',
+    tsv: 'TSV',
+    parquet: 'Parquet',
+    xlsx: 'Excel'
+};
 
 class JsonAnalyzer {
-    constructor(server) {
+    constructor(server, { directory, memoryLimit }, { sandbox, fileQuery, masker }) {
         this.server = server;
-        this.cacheDir = process.env.JSON_CACHE_DIR || path.join(process.cwd(), '.json_cache');
-        this.ensureCacheDir();
+        this.sandbox = sandbox;
+        this.fileQuery = fileQuery;
+        this.masker = masker;
+        this.cacheDir = directory;
+        this.memoryLimit = memoryLimit;
+        this.cacheStats = { hits: 0, misses: 0 };
     }
 
+    // Created on the first ingest rather than at startup, so a server that never caches a file leaves no directory behind
     ensureCacheDir() {
-        if (!fs.existsSync(this.cacheDir)) {
-            fs.mkdirSync(this.cacheDir, { recursive: true });
-        }
+        fs.mkdirSync(this.cacheDir, { recursive: true });
     }
 
-    generateFileHash(filePath, stats) {
+    // Read options are part of the key: the same file read with another delimiter or sheet is a different dataset
+    generateFileHash(filePath, stats, readOptions = {}) {
         const hash = crypto.createHash('sha256');
         hash.update(filePath);
         hash.update(stats.size.toString());
         hash.update(stats.mtime.toISOString());
+        hash.update(JSON.stringify(readOptions));
         return hash.digest('hex');
     }
 
-    loadJsonData(filePath, sampleSize = 10000) {
-        if (!fs.existsSync(filePath)) {
-            throw new Error(`File not found: ${filePath}`);
+    getCacheSize() {
+        if (!fs.existsSync(this.cacheDir)) {
+            return 0;
+        }
+        return fs.readdirSync(this.cacheDir)
+            .filter(name => name.endsWith('.duckdb'))
+            .reduce((total, name) => total + fs.statSync(path.join(this.cacheDir, name)).size, 0);
+    }
+
+    // Ingest the file into a DuckDB database named after its hash, unless an earlier call already did
+    async ensureCachedDatabase(filePath, fileHash, format, readOptions) {
+        const cachedDataPath = path.join(this.cacheDir, `${fileHash}.duckdb`);
+        if (fs.existsSync(cachedDataPath)) {
+            this.cacheStats.hits++;
+            logger.info('File cache hit', { filePath, cachedDataPath });
+            return { cachedDataPath, cacheHit: true };
+        }
+
+        this.cacheStats.misses++;
+        logger.info('File cache miss, ingesting file', { filePath, format, cachedDataPath });
+        // Build under a temporary name of its own so an interrupted ingest is never mistaken for a cache entry,
+        // and concurrent ingests of the same file never remove or rename each other's half-built database
+        const buildPath = `${cachedDataPath}.${crypto.randomUUID()}.tmp`;
+        this.ensureCacheDir();
+        const duck = await DuckDbClient.open(buildPath);
+        try {
+            // DuckDB's readers parse files as a stream, so only its buffer pool is held in memory;
+            // anything beyond the memory limit spills to the cache directory
+            await duck.exec(`SET memory_limit = ${quoteLiteral(this.memoryLimit)}; SET temp_directory = ${quoteLiteral(path.join(this.cacheDir, 'tmp'))};`);
+            await duck.loadFormatExtension(format, { install: this.fileQuery.installExtensions });
+            const source = fileReaderSql(filePath, format, readOptions);
+            // Parquet is already columnar and indexed, so it is read in place rather than copied
+            await duck.run(format === 'parquet'
+                ? `CREATE VIEW records AS SELECT * FROM ${source}`
+                : `CREATE TABLE records AS SELECT * FROM ${source}`);
+        } catch (error) {
+            await duck.close();
+            fs.rmSync(buildPath, { force: true });
+            fs.rmSync(`${buildPath}.wal`, { force: true });
+            throw error;
         }
+        await duck.close();
+        if (fs.existsSync(cachedDataPath)) {
+            // A concurrent ingest of the same file finished first; its entry holds the same data
+            fs.rmSync(buildPath, { force: true });
+        } else {
+            fs.renameSync(buildPath, cachedDataPath);
+        }
+        return { cachedDataPath, cacheHit: false };
+    }
+
+    /**
+     * Load the cached records, reservoir-sampling `sampleSize` of them when the file holds more.
+     * Pass `seed` to get the same sample on every call. Only files in the allowlisted directories can be read.
+     */
+    async loadFileData(requestedPath, { format, sampleSize = 10000, seed, readOptions = {} } = {}) {
+        const filePath = this.fileQuery.resolveFile(requestedPath);
 
         const stats = fs.statSync(filePath);
         const fileSizeMB = stats.size / (1024 * 1024);
-        const fileHash = this.generateFileHash(filePath, stats);
-        const cachedDataPath = path.join(this.cacheDir, `${fileHash}.json`);
-        const cachedMetaPath = path.join(this.cacheDir, `${fileHash}_meta.json`);
+        const fileFormat = format || detectFileFormat(filePath);
+        const fileHash = this.generateFileHash(filePath, stats, { format: fileFormat, ...readOptions });
+        const { cachedDataPath, cacheHit } = await this.ensureCachedDatabase(filePath, fileHash, fileFormat, readOptions);
 
         let jsonData, samplingInfo, metadata;
 
-        // Cache disabled for now - will be used with SQLite/DuckDB later
-        const rawData = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-        
-        const isLargeFile = fileSizeMB > 10;
-        
-        if (isLargeFile && Array.isArray(rawData) && rawData.length > sampleSize) {
-            const sampledData = rawData
-                .sort(() => Math.random() - 0.5)
-                .slice(0, sampleSize);
-            
-            jsonData = sampledData;
-            const samplePercentage = (sampleSize / rawData.length) * 100;
-            samplingInfo = `Large file sampled: ${sampleSize.toLocaleString()} records (${samplePercentage.toFixed(1)}% of ${rawData.length.toLocaleString()} total)`;
-            
-            metadata = {
-                originalSize: rawData.length,
-                sampledSize: sampleSize,
-                samplingInfo,
-                isLargeFile: true,
-                fileSizeMB
-            };
-        } else {
-            jsonData = Array.isArray(rawData) ? rawData : [rawData];
-            samplingInfo = `Complete file loaded: ${jsonData.length.toLocaleString()} records (${fileSizeMB.toFixed(2)}MB)`;
-            
-            metadata = {
-                originalSize: jsonData.length,
-                sampledSize: jsonData.length,
-                samplingInfo,
-                isLargeFile: false,
-                fileSizeMB
-            };
+        const duck = await DuckDbClient.open(cachedDataPath, { readOnly: true });
+        try {
+            const [{ total }] = toJsRows(await duck.all('SELECT count(*) AS total FROM records'));
+            const isLargeFile = fileSizeMB > 10;
+
+            if (total > sampleSize) {
+                const size = Math.floor(sampleSize);
+                if (seed !== undefined) {
+                    // Reservoir sampling is only reproducible for a given seed when it runs on one thread
+                    await duck.run('SET threads = 1');
+                }
+                const repeatable = seed !== undefined ? ` REPEATABLE (${Math.floor(seed)})` : '';
+                jsonData = toJsRows(await duck.all(`SELECT * FROM records USING SAMPLE reservoir(${size} ROWS)${repeatable}`));
+                const samplePercentage = (size / total) * 100;
+                samplingInfo = `${isLargeFile ? 'Large file' : 'File'} sampled: ${size.toLocaleString()} records (${samplePercentage.toFixed(1)}% of ${total.toLocaleString()} total, reservoir sampling${seed !== undefined ? `, seed ${seed}` : ''})`;
+
+                metadata = {
+                    originalSize: total,
+                    sampledSize: jsonData.length,
+                    samplingInfo,
+                    samplingMethod: 'reservoir',
+                    seed: seed ?? null,
+                    isLargeFile,
+                    fileSizeMB
+                };
+            } else {
+                jsonData = toJsRows(await duck.all('SELECT * FROM records'));
+                samplingInfo = `Complete file loaded: ${jsonData.length.toLocaleString()} records (${fileSizeMB.toFixed(2)}MB)`;
+
+                metadata = {
+                    originalSize: total,
+                    sampledSize: jsonData.length,
+                    samplingInfo,
+                    samplingMethod: 'none',
+                    seed: null,
+                    isLargeFile,
+                    fileSizeMB
+                };
+            }
+        } finally {
+            await duck.close();
         }
 
-        return { jsonData, samplingInfo, metadata, fileHash, cachedDataPath };
+        const cache = {
+            status: cacheHit ? 'hit' : 'miss',
+            path: cachedDataPath,
+            entryBytes: fs.statSync(cachedDataPath).size,
+            totalBytes: this.getCacheSize(),
+            hits: this.cacheStats.hits,
+            misses: this.cacheStats.misses
+        };
+
+        return { jsonData, samplingInfo, metadata, format: fileFormat, fileHash, cachedDataPath, cache };
     }
 
     createDataFrame(jsonData) {
@@ -148,71 +242,49 @@ Return only the JavaScript code (no explanations, no markdown):`;
         }
     }
 
-    executeDataFrameCode(code, df) {
-        try {
-            const context = {
-                df: df,
-                dfd: dfd,
-                console: console,
-                Math: Math,
-                Date: Date,
-                JSON: JSON,
-                Array: Array,
-                Object: Object
-            };
-
-            // Ensure context is not null/undefined before using Object.keys/values
-            if (!context || typeof context !== 'object') {
-                throw new Error('Context object is invalid');
+    /**
+     * Run the generated code of one cycle's analyses in the analysis sandbox, each as a step with `df` over the
+     * sampled records. A step's error is reported as its result, so one failing analysis leaves the others intact.
+     */
+    async runAnalysisCode(codes, jsonData) {
+        const steps = [];
+        const results = codes.map((code, position) => {
+            const body = `const df = new dfd.DataFrame(data);
+try {
+    const result = await (${code}\n);
+    const large = (result instanceof dfd.DataFrame || result instanceof dfd.Series) && result.shape[0] > ${MAX_RESULT_ROWS};
+    return { result: large ? result.head(${MAX_RESULT_ROWS}) : result };
+} catch (error) {
+    return { error: error.message };
+}`;
+            try {
+                // Compiled only, never run, so a syntax error is reported here instead of failing every step
+                new vm.Script(`(async function () {\n${body}\n})`);
+            } catch (error) {
+                return { error: error.message };
             }
+            steps.push({ name: `analysis${position + 1}`, code: body });
+            return steps[steps.length - 1].name;
+        });
+        if (steps.length === 0) {
+            return results;
+        }
 
-            const contextKeys = Object.keys(context);
-            const contextValues = Object.values(context);
-
-            const func = new Function(...contextKeys, `
-                try {
-                    const result = ${code};
-                    
-                    if (result && typeof result.values === 'function') {
-                        const values = result.values;
-                        return Array.isArray(values) ? values.slice(0, 100) : values;
-                    }
-                    
-                    if (result && typeof result.toString === 'function' && result.constructor.name === 'DataFrame') {
-                        return {
-                            type: 'DataFrame',
-                            shape: result.shape,
-                            columns: result.columns,
-                            sample: result.head(5).values
-                        };
-                    }
-                    
-                    if (result && typeof result.toString === 'function' && result.constructor.name === 'Series') {
-                        return {
-                            type: 'Series',
-                            length: result.shape[0],
-                            values: result.values.slice(0, 20)
-                        };
-                    }
-                    
-                    if (Array.isArray(result)) {
-                        return result.slice(0, 100);
-                    }
-                    
-                    if (typeof result === 'object' && result !== null) {
-                        return JSON.parse(JSON.stringify(result));
-                    }
-                    
-                    return result;
-                } catch (e) {
-                    return { error: e.message };
-                }
-            `);
-
-            return func(...contextValues);
+        let outputs;
+        try {
+            outputs = new Map((await runAnalysisSteps(steps, { data: jsonData }, this.sandbox)).map(step => [step.name, step.result]));
         } catch (error) {
-            return { error: error.message };
+            return results.map(result => typeof result === 'string' ? { error: error.message } : result);
         }
+        return results.map(result => {
+            if (typeof result !== 'string') {
+                return result;
+            }
+            const output = outputs.get(result);
+            return 'error' in output
+                ? output
+                : { result: Array.isArray(output.result) ? output.result.slice(0, MAX_RESULT_ROWS) : output.result };
+        });
     }
 
     async generateAnalysisDescriptions(goal, schemaInfo, totalRecords, previousFindings = []) {
@@ -334,7 +406,7 @@ Return JSON object:
     }
 
     async generateFinalReport(goal, cycles) {
-        const prompt = `Generate a comprehensive final report for this JSON data analysis:
+        const prompt = `Generate a comprehensive final report for this data file analysis:
 
 ANALYSIS GOAL: ${goal}
 
@@ -374,10 +446,22 @@ Format as a well-structured report with clear sections and bullet points.`;
         }
     }
 
-    async analyzeJsonData({ filePath, analysisGoal, maxCycles = 5, sampleSize = 10000, initialAnalyses = [] }) {
+    // Records are masked with the masking config of `environment`, the session's current environment
+    async analyzeFile({ filePath, format, analysisGoal, maxCycles = 5, sampleSize = 10000, seed, initialAnalyses = [], delimiter, header, sheet, encoding }, { environment }) {
         try {
-            const { jsonData, samplingInfo, metadata, fileHash, cachedDataPath } = this.loadJsonData(filePath, sampleSize);
-            const { df, schemaInfo, shape } = this.createDataFrame(jsonData);
+            const readOptions = Object.fromEntries(
+                Object.entries({ delimiter, header, sheet, encoding }).filter(([, value]) => value !== undefined)
+            );
+            const { jsonData: records, samplingInfo, format: fileFormat, fileHash, cachedDataPath, cache } = await this.loadFileData(filePath, {
+                format,
+                sampleSize,
+                seed,
+                readOptions
+            });
+            // Column rules match the file like queryFiles views, by name: users.csv is table users. Everything
+            // derived from the records (schema samples, analysis results, prompts) only ever sees masked values
+            const jsonData = records.map(record => this.masker.maskRecord(environment, record, { table: toViewName(filePath) }));
+            const { schemaInfo, shape } = this.createDataFrame(jsonData);
 
             const cycles = [];
             const previousFindings = [];
@@ -390,26 +474,18 @@ Format as a well-structured report with clear sections and bullet points.`;
                     analysisDescriptions = await this.generateAnalysisDescriptions(analysisGoal, schemaInfo, shape[0], previousFindings);
                 }
 
-                const analysisResults = [];
+                const codes = [];
                 for (const description of analysisDescriptions) {
-                    try {
-                        const code = await this.generateAnalysisCode(description, schemaInfo, shape[0]);
-                        const result = this.executeDataFrameCode(code, df);
-                        
-                        analysisResults.push({
-                            description,
-                            code,
-                            result,
-                            success: true
-                        });
-                    } catch (error) {
-                        analysisResults.push({
-                            description,
-                            error: error.message,
-                            success: false
-                        });
-                    }
+                    codes.push(await this.generateAnalysisCode(description, schemaInfo, shape[0]));
                 }
+                // Generated code runs in the analysis sandbox, never in the server process
+                const analysisResults = (await this.runAnalysisCode(codes, jsonData)).map((result, position) => ({
+                    description: analysisDescriptions[position],
+                    code: codes[position],
+                    ...('error' in result
+                        ? { error: result.error, success: false }
+                        : { result: result.result, success: true })
+                }));
 
                 const analysis = await this.analyzeResults(analysisResults, analysisGoal, cycle, maxCycles);
                 
@@ -437,11 +513,13 @@ Format as a well-structured report with clear sections and bullet points.`;
                 content: [
                     {
                         type: "text",
-                        text: `# JSON Data Analysis Report
+                        text: `# ${FORMAT_LABELS[fileFormat]} Data Analysis Report
 
 ## Dataset Info
+- **File**: ${filePath} (${fileFormat})
 - **Cached Data**: ${cachedDataPath}
 - **File Hash**: ${fileHash}
+- **Cache**: ${cache.status} (entry ${(cache.entryBytes / (1024 * 1024)).toFixed(2)}MB, cache total ${(cache.totalBytes / (1024 * 1024)).toFixed(2)}MB, ${cache.hits} hits / ${cache.misses} misses this session)
 - **${samplingInfo}**
 
 ## Analysis Summary
@@ -485,7 +563,7 @@ ${r.code}
                 content: [
                     {
                         type: "text",
-                        text: `Error analyzing JSON data: ${error.message}`
+                        text: `Error analyzing data file: ${error.message}`
                     }
                 ]
             };
@@ -493,23 +571,39 @@ ${r.code}
     }
 }
 
-export const registerJsonAnalyzer = (server) => {
-    const analyzer = new JsonAnalyzer(server);
-    
-    server.registerTool("analyzeJsonData",
+// Inputs shared by analyzeFile and the JSON-only analyzeJsonData
+const analysisInputShape = {
+    analysisGoal: z.string().describe("What you want to discover (e.g., 'find anomalies', 'understand user behavior', 'identify trends', 'comprehensive analysis')"),
+    maxCycles: z.number().optional().default(5).describe("Maximum analysis cycles (default: 5)"),
+    sampleSize: z.number().int().positive().optional().default(10000).describe("Maximum number of records to analyze; larger files are reservoir-sampled (default: 10000)"),
+    seed: z.number().int().optional().describe("Seed for reproducible sampling; the same seed returns the same sample for an unchanged file"),
+    initialAnalyses: z.array(z.string()).optional().describe("Optional starting analysis descriptions to begin with")
+};
+
+// `context` is the tool context from createToolContext, for its file allowlist, masking and session environments
+export const registerJsonAnalyzer = (server, config, auditLog, { fileQuery, masker, sessions }) => {
+    const analyzer = new JsonAnalyzer(server, config.jsonCache, { sandbox: config.analysis, fileQuery, masker });
+    const audited = (tool, handler) => auditLog.wrap(tool, handler, server.server);
+
+    server.registerTool("analyzeFile",
         {
-            title: "Intelligent JSON Data Analysis with Danfo.js",
-            description: `Analyze large JSON files using Danfo.js with AI-guided exploration.
+            title: "Intelligent Data File Analysis with Danfo.js",
+            description: `Analyze local data files (JSON, NDJSON, CSV, TSV, Parquet, Excel) using Danfo.js with AI-guided exploration.
             
 The tool will:
-1. Load and sample your JSON data efficiently (with caching by content hash)
+1. Load and sample your data efficiently (ingested once into a DuckDB cache keyed by file hash)
 2. Let AI explore the data through multiple analysis cycles using DataFrame operations
 3. Generate insights and follow interesting patterns
 4. Provide comprehensive findings and recommendations
 
 Features:
-- Automatic JSON file caching by content hash
-- Efficient large JSON loading with sampling
+- Only files inside the allowlisted directories (files.allowedDirectories) can be analyzed
+- The format is detected from the file extension (.json, .ndjson, .jsonl, .csv, .tsv, .tab, .parquet, .xlsx) or, failing that, the file's first bytes; set 'format' to override
+- CSV/TSV options: delimiter (sniffed when omitted), header, encoding (utf-8, utf-16, latin-1)
+- Excel options: sheet name and header
+- Files are ingested once into a DuckDB database cached by path, size, modification time and read options; the result reports cache hits/misses and cache size
+- Files are parsed as a stream, so files larger than memory can be analyzed
+- Reservoir sampling of sampleSize records, reproducible with a seed, with the exact total record count
 - Danfo.js DataFrame operations for data analysis
 - Iterative AI-driven analysis (up to 5 cycles by default)
 - Intelligent analysis generation based on previous findings
@@ -519,15 +613,32 @@ Features:
 The AI will autonomously explore your data, generate relevant DataFrame operations,
 and build insights cycle by cycle until it has thoroughly analyzed your dataset.`,
             inputSchema: {
-                filePath: z.string().describe("Path to the JSON file to analyze"),
-                analysisGoal: z.string().describe("What you want to discover (e.g., 'find anomalies', 'understand user behavior', 'identify trends', 'comprehensive analysis')"),
-                maxCycles: z.number().optional().default(5).describe("Maximum analysis cycles (default: 5)"),
-                sampleSize: z.number().optional().default(10000).describe("Number of records to sample for large files (default: 10000)"),
-                initialAnalyses: z.array(z.string()).optional().describe("Optional starting analysis descriptions to begin with")
+                filePath: z.string().describe("Path to the data file to analyze, inside an allowlisted directory (relative paths resolve against the first one)"),
+                format: z.enum(FILE_FORMATS).optional().describe("File format; detected from the extension or contents when omitted"),
+                ...analysisInputShape,
+                delimiter: z.string().optional().describe("CSV/TSV field delimiter (default: sniffed for CSV, tab for TSV)"),
+                header: z.boolean().optional().describe("Whether the first row of a CSV/TSV file or Excel sheet holds column names (default: detected)"),
+                sheet: z.string().optional().describe("Excel sheet name (default: the first sheet)"),
+                encoding: z.enum(["utf-8", "utf-16", "latin-1"]).optional().describe("CSV/TSV text encoding (default: utf-8)")
             }
         },
-        async (params) => {
-            return await analyzer.analyzeJsonData(params);
-        }
+        audited("analyzeFile", async (params, { sessionId }) => {
+            return await analyzer.analyzeFile(params, { environment: sessions.current(sessionId) });
+        })
+    );
+
+    server.registerTool("analyzeJsonData",
+        {
+            title: "Intelligent JSON Data Analysis with Danfo.js",
+            description: `Analyze large JSON or NDJSON files using Danfo.js with AI-guided exploration.
+Equivalent to analyzeFile with format 'json'; use analyzeFile for CSV, TSV, Parquet and Excel files.`,
+            inputSchema: {
+                filePath: z.string().describe("Path to the JSON file to analyze, inside an allowlisted directory (relative paths resolve against the first one)"),
+                ...analysisInputShape
+            }
+        },
+        audited("analyzeJsonData", async (params, { sessionId }) => {
+            return await analyzer.analyzeFile({ ...params, format: "json" }, { environment: sessions.current(sessionId) });
+        })
     );
-}; 
\ No newline at end of file
+};
@@ -1,38 +1,227 @@
 import pino from 'pino';
+import { prettyFactory } from 'pino-pretty';
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
 
-const logDir = '/Users/nir/Documents/projects/os/data-mcp-js/logs';
-const errorLogPath = path.join(logDir, 'error.log');
-const combinedLogPath = path.join(logDir, 'combined.log');
+export const LOG_LEVELS = ['fatal', 'error', 'warn', 'info', 'debug', 'trace', 'silent'];
+export const LOG_FORMATS = ['json', 'pretty'];
+export const LOG_ROTATION_INTERVALS = ['daily', 'hourly', 'none'];
 
-if (!fs.existsSync(logDir)) {
-    fs.mkdirSync(logDir, { recursive: true });
+// Lines logged before configureLogging are held here, since the config may move or disable the log files
+const MAX_PENDING_LINES = 1000;
+
+const numberFromEnv = (name, fallback) => {
+    const value = Number(process.env[name]);
+    return process.env[name] && Number.isFinite(value) ? value : fallback;
+};
+
+// Logs are state in XDG terms: $XDG_STATE_HOME/data-mcp/logs, by default ~/.local/state/data-mcp/logs
+const defaultLogDirectory = () =>
+    path.join(process.env.XDG_STATE_HOME || path.join(os.homedir(), '.local', 'state'), 'data-mcp', 'logs');
+
+/**
+ * Logging settings taken from the environment; the config file's `logging` section overrides them.
+ */
+export const loggingDefaults = {
+    level: process.env.LOG_LEVEL || 'info',
+    format: process.env.DATA_MCP_LOG_FORMAT || 'json',
+    files: process.env.DATA_MCP_LOG_FILES !== 'false',
+    directory: process.env.DATA_MCP_LOG_DIR || defaultLogDirectory(),
+    maxBytes: numberFromEnv('DATA_MCP_LOG_MAX_BYTES', 10 * 1024 * 1024),
+    interval: process.env.DATA_MCP_LOG_ROTATE || 'daily',
+    maxFiles: numberFromEnv('DATA_MCP_LOG_MAX_FILES', 10),
+    maxAgeDays: numberFromEnv('DATA_MCP_LOG_MAX_AGE_DAYS', 14),
+    stderr: process.env.DATA_MCP_LOG_STDERR === 'true'
+};
+
+const periodOf = (date, interval) => {
+    const stamp = date.toISOString();
+    return interval === 'hourly' ? `${stamp.slice(0, 10)}T${stamp.slice(11, 13)}` : stamp.slice(0, 10);
+};
+
+/**
+ * A log file that is rotated once it would grow past `maxBytes` or a new day/hour starts. Rotated files
+ * are renamed to `<name>.<period>.<n><ext>` next to it, and the oldest are deleted beyond `maxFiles` or
+ * `maxAgeDays`. Writes are synchronous so nothing is lost when the process exits.
+ */
+class RotatingLogFile {
+    constructor(file, { maxBytes, interval, maxFiles, maxAgeDays }) {
+        this.file = file;
+        this.maxBytes = maxBytes;
+        this.interval = interval;
+        this.maxFiles = maxFiles;
+        this.maxAgeDays = maxAgeDays;
+        this.fd = null;
+    }
+
+    open() {
+        fs.mkdirSync(path.dirname(this.file), { recursive: true, mode: 0o700 });
+        this.fd = fs.openSync(this.file, 'a', 0o600);
+        const { size, mtime } = fs.fstatSync(this.fd);
+        this.size = size;
+        this.period = periodOf(size > 0 ? mtime : new Date(), this.interval);
+    }
+
+    write(line) {
+        if (this.fd === null) {
+            this.open();
+        }
+        const bytes = Buffer.byteLength(line);
+        const period = periodOf(new Date(), this.interval);
+        if (this.size > 0 && ((this.maxBytes > 0 && this.size + bytes > this.maxBytes) ||
+            (this.interval !== 'none' && period !== this.period))) {
+            this.rotate();
+            this.period = period;
+        }
+        fs.writeSync(this.fd, line);
+        this.size += bytes;
+    }
+
+    // Rotated files of this log, newest first: `<name>.<period>.<n><ext>` sorts by period, then n
+    rotatedFiles() {
+        const { dir, name, ext } = path.parse(this.file);
+        const pattern = new RegExp(`^${name}\\.([\\dT-]+)\\.(\\d+)\\${ext}$`);
+        return fs.readdirSync(dir)
+            .map(entry => ({ entry, match: pattern.exec(entry) }))
+            .filter(({ match }) => match)
+            .map(({ entry, match }) => ({ file: path.join(dir, entry), period: match[1], sequence: Number(match[2]) }))
+            .sort((a, b) => b.period.localeCompare(a.period) || b.sequence - a.sequence);
+    }
+
+    rotate() {
+        fs.closeSync(this.fd);
+        const { dir, name, ext } = path.parse(this.file);
+        const latest = this.rotatedFiles().find(rotated => rotated.period === this.period);
+        fs.renameSync(this.file, path.join(dir, `${name}.${this.period}.${(latest?.sequence ?? 0) + 1}${ext}`));
+        this.prune();
+        this.fd = fs.openSync(this.file, 'a', 0o600);
+        this.size = 0;
+    }
+
+    prune() {
+        const cutoff = Date.now() - this.maxAgeDays * 24 * 60 * 60 * 1000;
+        this.rotatedFiles().forEach(({ file }, index) => {
+            if (index >= this.maxFiles || (this.maxAgeDays > 0 && fs.statSync(file).mtimeMs < cutoff)) {
+                fs.rmSync(file, { force: true });
+            }
+        });
+    }
+
+    close() {
+        if (this.fd !== null) {
+            fs.closeSync(this.fd);
+            this.fd = null;
+        }
+    }
 }
 
-const createLogger = (name = 'data-mcp') => {
-    const baseConfig = {
-        name,
-        level: process.env.LOG_LEVEL || 'info',
-        timestamp: pino.stdTimeFunctions.isoTime,
-        formatters: {
-            level: (label) => ({ level: label }),
-            log: (object) => object
+// stdout carries the stdio MCP transport, so the only console output logging ever produces is on stderr
+const stderrOutput = {
+    file: 'stderr',
+    write: (line) => fs.writeSync(process.stderr.fd, line),
+    close: () => {}
+};
+
+/**
+ * The destination of every logger. pino records each line's level on it before writing, which picks the
+ * targets: error.log for errors, combined.log for everything, and optionally stderr.
+ */
+const destination = {
+    [Symbol.for('pino.metadata')]: true,
+    lastLevel: 0,
+    pending: [],
+    targets: null,
+
+    write(line) {
+        if (!this.targets) {
+            this.pending.push({ level: this.lastLevel, line });
+            if (this.pending.length >= MAX_PENDING_LINES) {
+                configureLogging();
+            }
+            return;
+        }
+        this.deliver(this.lastLevel, line);
+    },
+
+    deliver(level, line) {
+        for (const target of this.targets) {
+            if (level < target.level || target.failed) {
+                continue;
+            }
+            try {
+                target.output.write(target.format ? target.format(line) : line);
+            } catch (error) {
+                // A log file that cannot be written is dropped rather than taking the server down
+                target.failed = true;
+                process.emitWarning(`Logging to ${target.output.file} disabled: ${error.message}`);
+            }
         }
-    };
+    }
+};
+
+const baseConfig = {
+    name: 'data-mcp',
+    level: LOG_LEVELS.includes(loggingDefaults.level) ? loggingDefaults.level : 'info',
+    timestamp: pino.stdTimeFunctions.isoTime,
+    formatters: {
+        level: (label) => ({ level: label }),
+        log: (object) => object
+    }
+};
+
+const logger = pino(baseConfig, destination);
+const childLoggers = new Set();
+
+/**
+ * Point logging at its final destinations. `options` are the config file's `logging` section; anything
+ * missing falls back to `loggingDefaults`. Lines logged before this call are written out now.
+ * Without a call, the defaults apply from the first 1000 lines or process exit on.
+ */
+export const configureLogging = (options = {}) => {
+    const settings = { ...loggingDefaults, ...options };
+    if (!LOG_LEVELS.includes(settings.level)) {
+        settings.level = baseConfig.level;
+    }
+    const prettyOptions = { translateTime: 'SYS:standard', ignore: 'pid,hostname' };
+
+    const fileFormat = settings.format === 'pretty' ? prettyFactory({ ...prettyOptions, colorize: false }) : null;
+    const stderrFormat = settings.format === 'pretty' ? prettyFactory({ ...prettyOptions, colorize: process.stderr.isTTY }) : null;
+    const level = pino.levels.values[settings.level] ?? Infinity;
+
+    const targets = [];
+    if (settings.files) {
+        targets.push(
+            { level: pino.levels.values.error, format: fileFormat, output: new RotatingLogFile(path.join(settings.directory, 'error.log'), settings) },
+            { level, format: fileFormat, output: new RotatingLogFile(path.join(settings.directory, 'combined.log'), settings) }
+        );
+    }
+    if (settings.stderr) {
+        targets.push({ level, format: stderrFormat, output: stderrOutput });
+    }
 
-    const logger = pino(baseConfig, pino.multistream([
-        { stream: pino.transport({ target: 'pino/file', options: { destination: errorLogPath } }), level: 'error' },
-        { stream: pino.transport({ target: 'pino/file', options: { destination: combinedLogPath } }), level: 'info' }
-    ]));
+    destination.targets?.forEach(target => target.output.close());
+    destination.targets = targets;
+    logger.level = settings.level;
+    childLoggers.forEach(child => {
+        child.level = settings.level;
+    });
 
-    return logger;
+    const pending = destination.pending;
+    destination.pending = [];
+    pending.forEach(({ level: lineLevel, line }) => destination.deliver(lineLevel, line));
 };
 
-const logger = createLogger();
+process.on('exit', () => {
+    if (!destination.targets) {
+        configureLogging();
+    }
+});
 
 export const createChildLogger = (name) => {
-    return logger.child({ component: name });
+    const child = logger.child({ component: name });
+    childLoggers.add(child);
+    return child;
 };
 
-export default logger; 
\ No newline at end of file
+export default logger;
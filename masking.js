@@ -0,0 +1,284 @@
+import crypto from "crypto";
+import { createChildLogger } from "./logger.js";
+import { normalizeValue } from "./formatters.js";
+import { traceOutputColumns } from "./sql-guard.js";
+
+const REDACTED = '[REDACTED]';
+
+// Traced queries kept per masker; the same query is masked once per page or export batch
+const MAX_TRACED_QUERIES = 100;
+
+// Masked columns hold strings from then on, whatever their source type was
+const TEXT_COLUMN = { typeId: 25, typeName: 'text' };
+
+// Value detectors only look at text, json and array columns (PostgreSQL "text[]", DuckDB "VARCHAR[]", STRUCT and MAP);
+// numbers and timestamps would trip the phone pattern
+const isTextColumn = (column) => /char|text|string|name|json|\[\]|struct|map/i.test(column.typeName || '');
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+
+const passesLuhn = (digits) => {
+    let sum = 0;
+    for (let position = 0; position < digits.length; position++) {
+        let digit = Number(digits[digits.length - 1 - position]);
+        if (position % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+};
+
+// Candidate matches per detector; `accept` weeds out numbers that only look similar
+const DETECTORS = {
+    email: {
+        pattern: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi
+    },
+    creditCard: {
+        pattern: /(?<!\d)\d(?:[ -]?\d){12,18}(?!\d)/g,
+        accept: (match) => passesLuhn(match.replace(/\D/g, ''))
+    },
+    phone: {
+        pattern: /(?<![\w+])\+?\(?\d[\d\s().-]{7,}\d(?!\w)/g,
+        accept: (match) => {
+            const digits = match.replace(/\D/g, '').length;
+            return digits >= 9 && digits <= 15 && (match.startsWith('+') || /[\s().-]/.test(match)) &&
+                !/\d{4}-\d{2}-\d{2}/.test(match);
+        }
+    }
+};
+
+// "schema.table.column" -> { schema, table, column }; missing leading parts are undefined
+const splitColumnName = (name) => {
+    const [column, table, schema] = name.split('.').reverse();
+    return { schema, table, column };
+};
+
+const matchesSource = (rule, source) => Boolean(source) &&
+    rule.column === source.column &&
+    (!rule.table || rule.table === source.table) &&
+    (!rule.schema || !source.schema || rule.schema === source.schema);
+
+// Column rules carry the configured `name`, name patterns their `pattern`
+const planFor = (match) => ({
+    strategy: match.strategy,
+    reason: match.pattern ? `name pattern ${match.pattern}` : `column rule ${match.name}`
+});
+
+/**
+ * Masks personal data in query results before they leave the server, following each environment's
+ * `masking` config: whole columns chosen by name pattern or by the table column they read, and
+ * emails, credit card numbers and phone numbers detected inside other text, json and array values. Which
+ * columns a result column reads comes from PostgreSQL where it reports them, and from tracing the query otherwise,
+ * so expressions and aliases over a masked column are masked as well. Every strategy
+ * returns a string: 'redact' replaces the value, 'hash' keeps equal values equal (salted HMAC) and
+ * 'partial' keeps the email domain or the last four characters.
+ */
+export class DataMasker {
+    constructor(database) {
+        this.database = database;
+        this.logger = createChildLogger('Masking');
+        this.settings = Object.fromEntries(Object.values(database.environments).map(environment => {
+            const { columnPatterns = [], columns = [], detectors = [], hashSalt } = environment.masking || {};
+            return [environment.name, {
+                enabled: columnPatterns.length + columns.length + detectors.length > 0,
+                patterns: columnPatterns.map(({ pattern, strategy }) => ({ pattern, strategy, regex: new RegExp(pattern, 'i') })),
+                rules: columns.map(({ column, strategy }) => ({ ...splitColumnName(column.toLowerCase()), name: column, strategy })),
+                detectors,
+                salt: hashSalt ?? crypto.randomBytes(16).toString('hex')
+            }];
+        }));
+        this.traces = new Map();
+    }
+
+    enabled(environment) {
+        return Boolean(this.settings[environment]?.enabled);
+    }
+
+    maskText(text, strategy, salt) {
+        switch (strategy) {
+            case 'hash':
+                return `hash:${crypto.createHmac('sha256', salt).update(text).digest('hex').slice(0, 16)}`;
+            case 'partial': {
+                const at = text.indexOf('@');
+                if (at > 0) {
+                    return `${text[0]}***${text.slice(at)}`;
+                }
+                const visible = text.length > 8 ? 4 : 0;
+                return '*'.repeat(text.length - visible) + text.slice(text.length - visible);
+            }
+            default:
+                return REDACTED;
+        }
+    }
+
+    maskValue(value, strategy, salt) {
+        const normalized = normalizeValue(value);
+        return this.maskText(typeof normalized === 'string' ? normalized : JSON.stringify(normalized), strategy, salt);
+    }
+
+    // Replace every detected email, card or phone number inside `text`; returns the detectors that matched
+    detect(text, settings) {
+        const found = [];
+        let masked = text;
+        for (const { type, strategy } of settings.detectors) {
+            const { pattern, accept = () => true } = DETECTORS[type];
+            masked = masked.replace(pattern, (match) => {
+                if (!accept(match)) {
+                    return match;
+                }
+                found.push({ type, strategy });
+                return this.maskText(match, strategy, settings.salt);
+            });
+        }
+        return { masked, found };
+    }
+
+    // Apply the detectors to a string, or to every string nested in a json value or array; other values stay as they are
+    detectValue(value, settings) {
+        const found = [];
+        const walk = (item) => {
+            if (typeof item === 'string') {
+                const detected = this.detect(item, settings);
+                found.push(...detected.found);
+                return detected.masked;
+            }
+            if (Array.isArray(item)) {
+                return item.map(walk);
+            }
+            return isPlainObject(item)
+                ? Object.fromEntries(Object.entries(item).map(([key, entry]) => [key, walk(entry)]))
+                : item;
+        };
+        return { masked: walk(value), found };
+    }
+
+    /**
+     * The rules and patterns each output column of `query` reads, from traceOutputColumns, or null when
+     * there is nothing to trace. `catalog` is the alias DuckDB attaches the environment's database under.
+     */
+    async trace(environment, query, catalog) {
+        const settings = this.settings[environment];
+        if (!query || !settings || settings.rules.length + settings.patterns.length === 0) {
+            return null;
+        }
+        const key = JSON.stringify([environment, catalog, query]);
+        if (!this.traces.has(key)) {
+            if (this.traces.size >= MAX_TRACED_QUERIES) {
+                this.traces.delete(this.traces.keys().next().value);
+            }
+            this.traces.set(key, await traceOutputColumns(query, { columns: settings.rules, patterns: settings.patterns }, { catalog }));
+        }
+        return this.traces.get(key);
+    }
+
+    /**
+     * How a column is masked: whole values by rule or name pattern (matched on the column, the table column
+     * it reads or what the query trace says it reads), detectors for other text, or not at all.
+     */
+    columnPlan(settings, column, source, traced) {
+        const rule = settings.rules.find(candidate => matchesSource(candidate, source));
+        if (rule) {
+            return planFor(rule);
+        }
+        // PostgreSQL names the source of plain column references exactly; the trace covers expressions.
+        // What 'partial' keeps of an expression's text (the part after an @, the last characters) need
+        // not come from the masked column, so those values are redacted instead.
+        if (traced && !source) {
+            const plan = planFor(traced);
+            return plan.strategy === 'partial' ? { strategy: 'redact', reason: `${plan.reason} (expression)` } : plan;
+        }
+        const pattern = settings.patterns.find(candidate =>
+            candidate.regex.test(column.name) || (source && candidate.regex.test(source.column)));
+        if (pattern) {
+            return planFor(pattern);
+        }
+        return settings.detectors.length > 0 && isTextColumn(column) ? { detect: true } : null;
+    }
+
+    /**
+     * Mask the rows of the result ({ rows, columns, fields }) of `query` for `environment`. Returns the result
+     * with masked rows, masked columns retyped as text, and `maskedColumns`: [{ column, strategy, reason }].
+     * The pg `fields` tell which table column a result column reads as is; `query` is traced for the rest.
+     */
+    async apply(result, { environment = result.environment, query, catalog } = {}) {
+        const settings = this.settings[environment];
+        if (!settings?.enabled) {
+            return { ...result, maskedColumns: [] };
+        }
+
+        const sources = settings.rules.length + settings.patterns.length > 0 && result.fields
+            ? await this.database.columnSources(environment, result.fields)
+            : [];
+        const traced = await this.trace(environment, query, catalog);
+        const tracedPositions = traced?.positions?.length === result.columns.length ? traced.positions : null;
+        const plans = result.columns.map((column, index) => this.columnPlan(settings, column, sources[index] && {
+            schema: sources[index].schema.toLowerCase(),
+            table: sources[index].table.toLowerCase(),
+            column: sources[index].column.toLowerCase()
+        }, tracedPositions ? tracedPositions[index] : traced?.names.get(column.name.toLowerCase())));
+
+        const masked = new Map();
+        plans.forEach((plan, index) => {
+            if (plan?.strategy) {
+                const column = result.columns[index].name;
+                masked.set(column, { column, strategy: plan.strategy, reason: plan.reason });
+            }
+        });
+
+        const rows = result.rows.map(row => {
+            const copy = { ...row };
+            plans.forEach((plan, index) => {
+                const column = result.columns[index].name;
+                const value = row[column];
+                if (!plan || value === null || value === undefined) {
+                    return;
+                }
+                if (plan.strategy) {
+                    copy[column] = this.maskValue(value, plan.strategy, settings.salt);
+                } else {
+                    const { masked: detected, found } = this.detectValue(value, settings);
+                    copy[column] = detected;
+                    found.forEach(({ type, strategy }) => {
+                        masked.set(`${column}:${type}`, { column, strategy, reason: `${type} detector` });
+                    });
+                }
+            });
+            return copy;
+        });
+
+        const columns = result.columns.map((column, index) =>
+            plans[index]?.strategy ? { ...column, ...TEXT_COLUMN } : column);
+        const maskedColumns = [...masked.values()];
+        if (maskedColumns.length > 0) {
+            this.logger.info('Masked query result columns', { environment, maskedColumns });
+        }
+        return { ...result, rows, columns, maskedColumns };
+    }
+
+    /**
+     * Mask a plain record of column values, for results that carry no column metadata. The values are read
+     * from `table` ("table" or "schema.table"), or come from a query traced with `trace`. Detectors are
+     * applied to every string value, nested ones included.
+     */
+    maskRecord(environment, record, { table, traced } = {}) {
+        const settings = this.settings[environment];
+        if (!settings?.enabled) {
+            return record;
+        }
+        const [tableName, schema] = (table ?? '').toLowerCase().split('.').reverse();
+        return Object.fromEntries(Object.entries(record).map(([column, value]) => {
+            const plan = this.columnPlan(settings, { name: column, typeName: 'text' },
+                table && { schema, table: tableName, column: column.toLowerCase() },
+                traced?.names.get(column.toLowerCase()));
+            if (!plan || value === null || value === undefined) {
+                return [column, value];
+            }
+            if (plan.strategy) {
+                return [column, this.maskValue(value, plan.strategy, settings.salt)];
+            }
+            return [column, this.detectValue(value, settings).masked];
+        }));
+    }
+}
@@ -0,0 +1,83 @@
+import { createChildLogger } from "./logger.js";
+import { explainAnalyzeTarget, findDeniedReference } from "./sql-guard.js";
+
+/**
+ * Applies each environment's `policy` from the config before a query runs against it: a lower row cap,
+ * a ceiling on the planner's estimated cost, denied tables and columns, and confirmation by the user
+ * through MCP elicitation for environments marked `requiresConfirmation`.
+ */
+export class QueryPolicy {
+    // `server` is the low-level MCP server, used to ask the client for confirmation
+    constructor(database, server) {
+        this.database = database;
+        this.server = server;
+        this.logger = createChildLogger('Policy');
+    }
+
+    get(environment) {
+        return this.database.getEnvironment(environment).policy;
+    }
+
+    // `limit` lowered to the environment's maxRows
+    limit(environment, limit) {
+        const { maxRows } = this.get(environment);
+        return maxRows ? Math.min(limit, maxRows) : limit;
+    }
+
+    /**
+     * Reject `statement` (the validated SQL) when it references denied tables or columns, or when its
+     * estimated cost exceeds maxPlanCost, then ask for confirmation if the environment requires it.
+     * Pass `planCost: false` for SQL that PostgreSQL does not plan itself, such as federated DuckDB queries,
+     * and `catalog` when the environment is attached under that alias.
+     */
+    async check(statement, { environment, statementType = 'SELECT', planCost = true, catalog }) {
+        const policy = this.get(environment);
+
+        const violation = await findDeniedReference(statement, policy, { catalog });
+        if (violation) {
+            this.logger.warn('Query rejected by environment policy', { environment, violation });
+            throw new Error(`Query rejected by the ${environment} environment policy: ${violation}`);
+        }
+
+        // Plain EXPLAIN only plans, so there is nothing to estimate; EXPLAIN ANALYZE runs its SELECT, which is estimated
+        const executed = statementType === 'EXPLAIN' ? await explainAnalyzeTarget(statement) : statement;
+        if (policy.maxPlanCost !== undefined && planCost && executed) {
+            const cost = await this.database.planCost(executed, { environment });
+            if (cost > policy.maxPlanCost) {
+                this.logger.warn('Query rejected by plan cost limit', { environment, cost, maxPlanCost: policy.maxPlanCost });
+                throw new Error(`Query rejected by the ${environment} environment policy: estimated plan cost ${cost} exceeds the maximum of ${policy.maxPlanCost}. Add filters or select fewer rows.`);
+            }
+        }
+
+        await this.confirm(environment, `Run this query against the ${environment} environment?\n\n${statement}`);
+    }
+
+    // Ask the user to approve `message` when the environment requires confirmation; throws unless approved
+    async confirm(environment, message) {
+        if (!this.get(environment).requiresConfirmation) {
+            return;
+        }
+        if (!this.server.getClientCapabilities()?.elicitation) {
+            throw new Error(`The ${environment} environment requires confirmation before queries run, but the client does not support elicitation`);
+        }
+
+        const response = await this.server.elicitInput({
+            message,
+            requestedSchema: {
+                type: "object",
+                properties: {
+                    confirm: {
+                        type: "boolean",
+                        title: "Confirm",
+                        description: `Allow this request to run against ${environment}`
+                    }
+                },
+                required: ["confirm"]
+            }
+        });
+        this.logger.info('Confirmation answered', { environment, action: response.action, confirm: response.content?.confirm });
+        if (response.action !== 'accept' || response.content?.confirm !== true) {
+            throw new Error(`Request against the ${environment} environment was not confirmed by the user`);
+        }
+    }
+}
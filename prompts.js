@@ -2,7 +2,7 @@ import { z } from "zod";
 import { completable } from "@modelcontextprotocol/sdk/server/completable.js";
 import { createChildLogger } from "./logger.js";
 
-export const registerPrompts = (server) => {
+export const registerPrompts = (server, database) => {
     const logger = createChildLogger('Prompts');
     logger.info('Registering prompts with server');
     server.registerPrompt("dataEngineeringTask",
@@ -127,11 +127,7 @@ The assistant leverages PostgreSQL queries, data analysis tools, and AI capabili
                 environment: completable(
                     z.string().optional().describe("Database environment to use"),
                     (value) => {
-                        const environments = [
-                            "default",
-                            "dev",
-                            "prod"
-                        ];
+                        const environments = Object.keys(database.environments);
                         return environments.filter(env => env.toLowerCase().includes(value.toLowerCase()));
                     }
                 ),
@@ -0,0 +1,335 @@
+import { ResourceTemplate } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { createChildLogger } from "./logger.js";
+import { quoteLiteral } from "./duckdb-client.js";
+import { schemaFilter } from "./schema-diff.js";
+import { definitionMentionsDeniedColumn, isTableDenied, isColumnDenied } from "./sql-guard.js";
+import { QueryPolicy } from "./policy.js";
+import { DEFAULT_SESSION } from "./sessions.js";
+
+// resources/list names at most this many tables; the rest stay readable through the URI templates
+const MAX_LISTED_TABLES = 1000;
+
+// Catalog reads larger than this are cut short
+const MAX_CATALOG_ROWS = 10000;
+
+const MIME_TYPE = "application/json";
+
+const RELATION_KINDS = `c.relkind IN ('r', 'p', 'v', 'm', 'f')`;
+
+const RELATION_TYPE = `CASE c.relkind
+    WHEN 'r' THEN 'table'
+    WHEN 'p' THEN 'partitioned table'
+    WHEN 'v' THEN 'view'
+    WHEN 'm' THEN 'materialized view'
+    WHEN 'f' THEN 'foreign table'
+END`;
+
+// reltuples is -1 for tables that were never vacuumed or analyzed
+const ROW_ESTIMATE = `CASE WHEN c.reltuples < 0 THEN NULL ELSE c.reltuples::float8 END`;
+
+export const schemasUri = (environment) => `postgres://${encodeURIComponent(environment)}/schemas`;
+
+export const tablesUri = (environment, schema) =>
+    `postgres://${encodeURIComponent(environment)}/${encodeURIComponent(schema)}/tables`;
+
+// Under the schema's tables listing, so a table named "tables" never collides with the listing itself
+export const tableUri = (environment, schema, table) =>
+    `${tablesUri(environment, schema)}/${encodeURIComponent(table)}`;
+
+/**
+ * Reads schema metadata from the PostgreSQL catalogs of an environment: its schemas, the tables and views
+ * of a schema, and a table's columns, constraints, indexes, row estimate and comments. Tables and columns
+ * denied by the environment policy are left out, as queries may not reference them either, and so are the
+ * constraints and indexes whose definition names a denied column.
+ */
+export class SchemaCatalog {
+    constructor(database) {
+        this.database = database;
+        this.logger = createChildLogger('SchemaCatalog');
+    }
+
+    policy(environment) {
+        return this.database.getEnvironment(environment).policy;
+    }
+
+    async read(environment, query) {
+        const result = await this.database.readQuery(query, { limit: MAX_CATALOG_ROWS, environment });
+        return result.rows;
+    }
+
+    async schemas(environment) {
+        return this.read(environment, `
+            SELECT n.nspname AS name, pg_get_userbyid(n.nspowner) AS owner,
+                obj_description(n.oid, 'pg_namespace') AS comment
+            FROM pg_namespace n
+            WHERE ${schemaFilter('n.nspname')}
+            ORDER BY 1
+        `);
+    }
+
+    // Tables and views of `schema`, or of every non-system schema; partitions are listed under their parent only
+    async tables(environment, schema) {
+        const rows = await this.read(environment, `
+            SELECT n.nspname AS schema, c.relname AS name, ${RELATION_TYPE} AS type,
+                ${ROW_ESTIMATE} AS "rowEstimate", obj_description(c.oid, 'pg_class') AS comment
+            FROM pg_class c
+            JOIN pg_namespace n ON n.oid = c.relnamespace
+            WHERE ${RELATION_KINDS} AND NOT c.relispartition
+                AND ${schema ? `n.nspname = ${quoteLiteral(schema)}` : schemaFilter('n.nspname')}
+            ORDER BY 1, 2
+        `);
+        const policy = this.policy(environment);
+        return rows.filter(table => !isTableDenied(table.schema, table.name, policy));
+    }
+
+    // Catalog queries run one after another to use a single connection per environment at a time
+    async describe(environment, schema, table) {
+        if (isTableDenied(schema, table, this.policy(environment))) {
+            throw new Error(`Table ${schema}.${table} is not allowed by the ${environment} environment policy`);
+        }
+
+        const [relation] = await this.read(environment, `
+            SELECT c.oid::int8::text AS oid, ${RELATION_TYPE} AS type, ${ROW_ESTIMATE} AS "rowEstimate",
+                pg_total_relation_size(c.oid)::float8 AS "totalBytes", obj_description(c.oid, 'pg_class') AS comment
+            FROM pg_class c
+            JOIN pg_namespace n ON n.oid = c.relnamespace
+            WHERE ${RELATION_KINDS} AND n.nspname = ${quoteLiteral(schema)} AND c.relname = ${quoteLiteral(table)}
+        `);
+        if (!relation) {
+            throw new Error(`Table ${schema}.${table} not found in the ${environment} environment`);
+        }
+        const oid = `${quoteLiteral(relation.oid)}::oid`;
+
+        const columns = await this.read(environment, `
+            SELECT a.attname AS name, format_type(a.atttypid, a.atttypmod) AS type, NOT a.attnotnull AS nullable,
+                pg_get_expr(d.adbin, d.adrelid) AS default,
+                EXISTS (SELECT 1 FROM pg_index x WHERE x.indrelid = a.attrelid AND x.indisprimary AND a.attnum = ANY(x.indkey)) AS "primaryKey",
+                col_description(a.attrelid, a.attnum) AS comment
+            FROM pg_attribute a
+            LEFT JOIN pg_attrdef d ON d.adrelid = a.attrelid AND d.adnum = a.attnum
+            WHERE a.attrelid = ${oid} AND a.attnum > 0 AND NOT a.attisdropped
+            ORDER BY a.attnum
+        `);
+        const constraints = await this.read(environment, `
+            SELECT conname AS name,
+                CASE contype
+                    WHEN 'p' THEN 'primary key'
+                    WHEN 'u' THEN 'unique'
+                    WHEN 'f' THEN 'foreign key'
+                    WHEN 'c' THEN 'check'
+                    WHEN 'x' THEN 'exclusion'
+                    ELSE contype::text
+                END AS type,
+                pg_get_constraintdef(oid) AS definition
+            FROM pg_constraint
+            WHERE conrelid = ${oid} AND contype <> 'n'
+            ORDER BY 1
+        `);
+        const indexes = await this.read(environment, `
+            SELECT i.relname AS name, x.indisunique AS unique, x.indisprimary AS primary,
+                pg_get_indexdef(x.indexrelid) AS definition
+            FROM pg_index x
+            JOIN pg_class i ON i.oid = x.indexrelid
+            WHERE x.indrelid = ${oid}
+            ORDER BY 1
+        `);
+
+        const policy = this.policy(environment);
+        const allowed = ({ definition }) => !definitionMentionsDeniedColumn(definition, schema, table, policy);
+        return {
+            environment,
+            schema,
+            name: table,
+            type: relation.type,
+            rowEstimate: relation.rowEstimate,
+            totalBytes: relation.totalBytes,
+            comment: relation.comment,
+            columns: columns.filter(column => !isColumnDenied(schema, table, column.name, policy)),
+            constraints: constraints.filter(allowed),
+            indexes: indexes.filter(allowed)
+        };
+    }
+}
+
+const jsonContents = (uri, value) => ({
+    contents: [
+        {
+            uri: uri.href,
+            mimeType: MIME_TYPE,
+            text: JSON.stringify(value, null, 2)
+        }
+    ]
+});
+
+/**
+ * Register the database schema as MCP resources: postgres://{env}/schemas, postgres://{env}/{schema}/tables
+ * and postgres://{env}/{schema}/tables/{table}. resources/list covers the session's current environment, so the
+ * client is sent a list-changed notification whenever that environment changes.
+ */
+export const registerResources = (server, database, context) => {
+    const logger = createChildLogger('Resources');
+    const catalog = new SchemaCatalog(database);
+    const policies = new QueryPolicy(database, server.server);
+    const { sessions } = context;
+
+    // Environments that need confirmation are only listed by URI, without reading their catalog unasked
+    const listable = (environment) => !policies.get(environment).requiresConfirmation;
+
+    // Listing must not fail resources/list as a whole when an environment is unreachable
+    const listResources = (kind, list) => async ({ sessionId } = {}) => {
+        const environment = sessions.current(sessionId);
+        try {
+            return { resources: await list(environment) };
+        } catch (error) {
+            logger.warn('Listing schema resources failed', { kind, environment, error: error.message });
+            return { resources: [] };
+        }
+    };
+
+    // Completion requests carry no session id; each session gets its own server, so use its transport's
+    const ownSession = () => server.server.transport?.sessionId ?? DEFAULT_SESSION;
+
+    // The environment a completion is for, or null when the session may not use it or it needs confirmation
+    const completionEnvironment = (completionContext) => {
+        const sessionId = ownSession();
+        const environment = completionContext?.arguments?.env ?? sessions.current(sessionId);
+        return database.environments[environment] && sessions.permits(sessionId, environment) && listable(environment)
+            ? environment
+            : null;
+    };
+
+    const completeEnvironment = (value) => {
+        const sessionId = ownSession();
+        return Object.keys(database.environments)
+            .filter(name => name.startsWith(value) && sessions.permits(sessionId, name));
+    };
+
+    const completeSchema = async (value, completionContext) => {
+        const environment = completionEnvironment(completionContext);
+        if (!environment) {
+            return [];
+        }
+        const schemas = await catalog.schemas(environment);
+        return schemas.map(schema => schema.name).filter(name => name.startsWith(value));
+    };
+
+    const completeTable = async (value, completionContext) => {
+        const environment = completionEnvironment(completionContext);
+        const schema = completionContext?.arguments?.schema;
+        if (!environment || !schema) {
+            return [];
+        }
+        const tables = await catalog.tables(environment, schema);
+        return tables.map(table => table.name).filter(name => name.startsWith(value));
+    };
+
+    // The environment named in a resource URI, checked to exist and to be available to the session
+    const resolveEnvironment = async (env, sessionId, message) => {
+        const environment = sessions.resolve(decodeURIComponent(env), sessionId);
+        await policies.confirm(environment, message);
+        return environment;
+    };
+
+    logger.info('Registering schema resources with server');
+
+    server.registerResource("schemas",
+        new ResourceTemplate("postgres://{env}/schemas", {
+            list: listResources('schemas', async (environment) => [{
+                uri: schemasUri(environment),
+                name: `${environment} schemas`
+            }]),
+            complete: { env: completeEnvironment }
+        }),
+        {
+            title: "Database Schemas",
+            description: "The non-system schemas of an environment's database, with their owners and comments",
+            mimeType: MIME_TYPE
+        },
+        async (uri, { env }, { sessionId }) => {
+            const environment = await resolveEnvironment(env, sessionId, `Read the list of schemas of the ${decodeURIComponent(env)} environment?`);
+            logger.info('Reading schemas resource', { environment });
+            const schemas = await catalog.schemas(environment);
+            return jsonContents(uri, {
+                environment,
+                schemas: schemas.map(schema => ({ ...schema, tables: tablesUri(environment, schema.name) }))
+            });
+        }
+    );
+
+    server.registerResource("tables",
+        new ResourceTemplate("postgres://{env}/{schema}/tables", {
+            list: listResources('tables', async (environment) => {
+                if (!listable(environment)) {
+                    return [];
+                }
+                const schemas = await catalog.schemas(environment);
+                return schemas.map(schema => ({
+                    uri: tablesUri(environment, schema.name),
+                    name: `${environment} ${schema.name} tables`
+                }));
+            }),
+            complete: { env: completeEnvironment, schema: completeSchema }
+        }),
+        {
+            title: "Schema Tables",
+            description: "The tables and views of a schema, with their type, row estimate and comment",
+            mimeType: MIME_TYPE
+        },
+        async (uri, { env, schema }, { sessionId }) => {
+            const schemaName = decodeURIComponent(schema);
+            const environment = await resolveEnvironment(env, sessionId, `Read the tables of schema ${schemaName} in the ${decodeURIComponent(env)} environment?`);
+            logger.info('Reading tables resource', { environment, schema: schemaName });
+            const tables = await catalog.tables(environment, schemaName);
+            return jsonContents(uri, {
+                environment,
+                schema: schemaName,
+                tables: tables.map(({ schema: tableSchema, ...table }) => ({ ...table, uri: tableUri(environment, tableSchema, table.name) }))
+            });
+        }
+    );
+
+    server.registerResource("table",
+        new ResourceTemplate("postgres://{env}/{schema}/tables/{table}", {
+            list: listResources('table', async (environment) => {
+                if (!listable(environment)) {
+                    return [];
+                }
+                const tables = await catalog.tables(environment);
+                if (tables.length > MAX_LISTED_TABLES) {
+                    logger.warn('Listing only the first tables as resources', { environment, tables: tables.length, limit: MAX_LISTED_TABLES });
+                }
+                return tables.slice(0, MAX_LISTED_TABLES).map(table => ({
+                    uri: tableUri(environment, table.schema, table.name),
+                    name: `${environment} ${table.schema}.${table.name}`,
+                    description: table.comment ?? undefined
+                }));
+            }),
+            complete: { env: completeEnvironment, schema: completeSchema, table: completeTable }
+        }),
+        {
+            title: "Table Structure",
+            description: "A table's or view's columns (type, nullability, default, comment), constraints, indexes, row estimate and size",
+            mimeType: MIME_TYPE
+        },
+        async (uri, { env, schema, table }, { sessionId }) => {
+            const [schemaName, tableName] = [decodeURIComponent(schema), decodeURIComponent(table)];
+            const environment = await resolveEnvironment(env, sessionId, `Read the structure of ${schemaName}.${tableName} in the ${decodeURIComponent(env)} environment?`);
+            logger.info('Reading table resource', { environment, schema: schemaName, table: tableName });
+            return jsonContents(uri, await catalog.describe(environment, schemaName, tableName));
+        }
+    );
+
+    // resources/list follows the session's environment, so tell the client when it changes
+    const unsubscribe = sessions.onChange((sessionId, environment) => {
+        if (sessionId === ownSession()) {
+            logger.info('Session environment changed, notifying resource list change', { sessionId, environment });
+            server.sendResourceListChanged();
+        }
+    });
+    // Keep any close handler set before, e.g. by another module
+    const onclose = server.server.onclose;
+    server.server.onclose = () => {
+        unsubscribe();
+        onclose?.();
+    };
+};
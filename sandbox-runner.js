@@ -0,0 +1,140 @@
+import vm from "vm";
+import process from "process";
+import { normalizeValue } from "./formatters.js";
+
+// Child process entry for sandbox.js: runs the steps of one analysis in order and exits
+
+// Objects handed to the sandbox (dfd, the rows) come from this realm. Removing the function constructors
+// means they cannot be used to compile code outside the sandbox context, e.g. dfd.DataFrame.constructor.constructor
+const lockDown = () => {
+    const functions = [function () {}, async function () {}, function* () {}, async function* () {}];
+    for (const fn of functions) {
+        Object.defineProperty(Object.getPrototypeOf(fn), 'constructor', { value: undefined });
+    }
+    // Errors thrown by dfd come from this realm too. Hooking their stack trace formatting would hand
+    // analysis code call sites, and through them functions and receivers outside the sandbox
+    for (const name of ['prepareStackTrace', 'captureStackTrace', 'stackTraceLimit']) {
+        Object.defineProperty(Error, name, { value: Error[name], writable: false, configurable: false });
+    }
+};
+
+// Deep-copies a value with the context's own intrinsics, so rows handed to analysis code (and the
+// steps object) carry no prototypes, and no Object or Function, from this realm
+const COPY_INTO_CONTEXT = `(function copy(value) {
+    if (value === null || typeof value !== 'object') {
+        return value;
+    }
+    if (Array.isArray(value)) {
+        const items = [];
+        for (let index = 0; index < value.length; index++) {
+            items.push(copy(value[index]));
+        }
+        return items;
+    }
+    if (Object.prototype.toString.call(value) === '[object Date]') {
+        return new Date(Date.prototype.getTime.call(value));
+    }
+    if (ArrayBuffer.isView(value)) {
+        return new Uint8Array(value.buffer.slice(value.byteOffset, value.byteOffset + value.byteLength));
+    }
+    const entries = {};
+    for (const key of Object.keys(value)) {
+        entries[key] = copy(value[key]);
+    }
+    return entries;
+})`;
+
+const createSandbox = (globals) => {
+    const context = vm.createContext(Object.create(null), {
+        name: 'analysis',
+        codeGeneration: { strings: false, wasm: false }
+    });
+    // Freeze the context's own intrinsics so analysis code cannot tamper with them
+    vm.runInContext(`
+        for (const name of Object.getOwnPropertyNames(globalThis)) {
+            const value = globalThis[name];
+            if (value && value !== globalThis && (typeof value === 'object' || typeof value === 'function')) {
+                Object.freeze(value);
+                if (value.prototype) {
+                    Object.freeze(value.prototype);
+                }
+            }
+        }
+    `, context);
+    vm.runInContext('globalThis.console = Object.freeze({ log() {}, info() {}, warn() {}, error() {}, debug() {} });', context);
+    Object.assign(context, globals);
+    return context;
+};
+
+// The index becomes a column unless it is the default 0..n-1
+const hasDefaultIndex = (frame) => frame.index.every((label, position) => label === position);
+
+// danfo DataFrames and Series become JSON tables: arrays of row objects
+const toJsonTable = (frame, dfd) => {
+    const includeIndex = !hasDefaultIndex(frame);
+    const isSeries = frame instanceof dfd.Series;
+    const columns = isSeries ? [frame.columns?.[0] ?? 'value'] : frame.columns;
+    return frame.values.map((entry, position) => {
+        const row = includeIndex ? { index: frame.index[position] } : {};
+        const cells = isSeries ? [entry] : entry;
+        columns.forEach((column, columnIndex) => {
+            row[column] = cells[columnIndex];
+        });
+        return row;
+    });
+};
+
+// Convert DataFrames and Series anywhere in a step result, then normalize dates, bigints and buffers
+const toJsonValue = (value, dfd) => {
+    const convert = (item) => {
+        if (dfd && (item instanceof dfd.DataFrame || item instanceof dfd.Series)) {
+            return toJsonTable(item, dfd);
+        }
+        if (Array.isArray(item)) {
+            return item.map(convert);
+        }
+        if (item !== null && typeof item === 'object' && typeof item.toJSON !== 'function' && !ArrayBuffer.isView(item)) {
+            return Object.fromEntries(Object.entries(item).map(([key, entry]) => [key, convert(entry)]));
+        }
+        return item;
+    };
+    return normalizeValue(convert(value));
+};
+
+// Code the analysis forgot to await must not bring the process down before the result is sent
+process.on('unhandledRejection', () => {});
+
+process.once('message', async ({ steps, data, datasets, useDanfo }) => {
+    const results = [];
+    let current;
+    try {
+        const dfd = useDanfo ? await import("danfojs-node") : undefined;
+        lockDown();
+        const context = createSandbox({ dfd });
+        const copy = vm.runInContext(COPY_INTO_CONTEXT, context);
+        const [contextData, contextDatasets] = [copy(data), copy(datasets)];
+        Object.assign(context, { data: contextData, datasets: contextDatasets });
+        // Step outputs stay as they are (DataFrames are passed along), in a frozen object of the context
+        const snapshot = vm.runInContext('(outputs) => Object.freeze(Object.assign({}, outputs))', context);
+        const compiled = steps.map(step => {
+            current = step.name;
+            const script = new vm.Script(`(async function (data, dfd, steps, datasets) {\n"use strict";\n${step.code}\n})`, {
+                filename: `${step.name}.js`
+            });
+            return { name: step.name, run: script.runInContext(context) };
+        });
+
+        process.send({ type: 'started' });
+        // Later steps see the raw outputs of earlier ones, so DataFrames can be passed along
+        const outputs = {};
+        for (const step of compiled) {
+            current = step.name;
+            const output = await step.run(contextData, dfd, snapshot(outputs), contextDatasets);
+            outputs[step.name] = output;
+            results.push({ name: step.name, value: JSON.stringify(toJsonValue(output, dfd)) });
+        }
+        process.send({ type: 'result', steps: results });
+    } catch (error) {
+        process.send({ type: 'error', step: current, message: error?.message ?? String(error) });
+    }
+});
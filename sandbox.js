@@ -0,0 +1,111 @@
+import fs from "fs";
+import path from "path";
+import { fork } from "child_process";
+import { fileURLToPath } from "url";
+import { createChildLogger } from "./logger.js";
+
+const logger = createChildLogger('Sandbox');
+
+const RUNNER_PATH = fileURLToPath(new URL('./sandbox-runner.js', import.meta.url));
+
+// Loading danfojs (and TensorFlow) does not count against the time limit, but must not hang forever
+const STARTUP_TIMEOUT_MILLIS = 60000;
+
+// Packages the sandbox process imports, directly or through formatters.js
+const SANDBOX_PACKAGES = ['danfojs-node', 'apache-arrow'];
+
+// The node_modules directory a package is installed in; the outermost one, since package managers
+// such as pnpm link dependencies across directories below it
+const nodeModulesOf = (name) => {
+    const resolved = fs.realpathSync(fileURLToPath(import.meta.resolve(name)));
+    const marker = `${path.sep}node_modules${path.sep}`;
+    return resolved.slice(0, resolved.indexOf(marker) + marker.length - 1);
+};
+
+// The only paths the sandbox process may read: its own modules and their dependencies
+const readablePaths = () => [...new Set([
+    path.dirname(RUNNER_PATH),
+    fs.realpathSync(path.dirname(RUNNER_PATH)),
+    ...SANDBOX_PACKAGES.map(nodeModulesOf)
+])];
+
+/**
+ * Run analysis steps ([{ name, code }]) in order in a separate Node.js process. The second argument holds the rows
+ * to analyze: `data` for a single query, or `datasets` (rows by query name) for named queries.
+ * The process gets an empty environment, no stdout, a V8 heap capped at `maxMemoryMb`, and is killed
+ * once the steps have run for `timeoutMillis` in total. It runs under Node's permission model, allowed to
+ * read its own modules only: no file writes, child processes or worker threads, so code that gets out of
+ * the vm context still cannot touch the server's files. Inside it, each step's code is the body of an
+ * async function in a vm context without eval/Function and with frozen intrinsics; only `data`, `datasets`
+ * (copied into the context), `dfd`, `steps` (earlier step outputs by name) and a no-op `console` are in scope.
+ * Resolves with [{ name, result }], where danfo DataFrames and Series have been converted to arrays of rows.
+ */
+export const runAnalysisSteps = (steps, { data, datasets }, { timeoutMillis, maxMemoryMb }) => new Promise((resolve, reject) => {
+    const startTime = Date.now();
+    const child = fork(RUNNER_PATH, [], {
+        execArgv: [
+            `--max-old-space-size=${maxMemoryMb}`,
+            '--experimental-permission',
+            ...readablePaths().map(readable => `--allow-fs-read=${readable}`),
+            '--no-warnings'
+        ],
+        env: {},
+        stdio: ['ignore', 'ignore', 'pipe', 'ipc'],
+        serialization: 'advanced'
+    });
+
+    let settled = false;
+    let stderr = '';
+    let timer = setTimeout(() => {
+        finish(new Error(`Analysis sandbox did not start within ${STARTUP_TIMEOUT_MILLIS}ms`));
+    }, STARTUP_TIMEOUT_MILLIS);
+
+    const finish = (error, value) => {
+        if (settled) {
+            return;
+        }
+        settled = true;
+        clearTimeout(timer);
+        child.kill('SIGKILL');
+        logger.info('Analysis sandbox finished', { durationMs: Date.now() - startTime, failed: Boolean(error) });
+        if (error) {
+            reject(error);
+        } else {
+            resolve(value);
+        }
+    };
+
+    child.stderr.on('data', (chunk) => {
+        stderr = (stderr + chunk).slice(-4096);
+    });
+
+    child.on('message', (message) => {
+        switch (message.type) {
+            case 'started':
+                clearTimeout(timer);
+                timer = setTimeout(() => {
+                    finish(new Error(`Analysis code timed out after ${timeoutMillis}ms and was stopped`));
+                }, timeoutMillis);
+                break;
+            case 'result':
+                finish(null, message.steps.map(step => ({ name: step.name, result: JSON.parse(step.value) })));
+                break;
+            case 'error':
+                finish(new Error(steps.length > 1 && message.step ? `Step '${message.step}' failed: ${message.message}` : message.message));
+                break;
+        }
+    });
+
+    child.on('error', (error) => finish(error));
+
+    child.on('exit', (exitCode, signal) => {
+        if (/heap out of memory|Allocation failed/i.test(stderr)) {
+            finish(new Error(`Analysis code exceeded the memory limit of ${maxMemoryMb}MB and was stopped`));
+        } else {
+            finish(new Error(`Analysis sandbox exited unexpectedly (${signal || `exit code ${exitCode}`})`));
+        }
+    });
+
+    // danfojs takes a while to load, so only pay for it when the code uses it
+    child.send({ steps, data, datasets, useDanfo: steps.some(step => /\bdfd\b/.test(step.code)) });
+});
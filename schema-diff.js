@@ -0,0 +1,328 @@
+import { createChildLogger } from "./logger.js";
+import { quoteIdentifier, quoteLiteral } from "./duckdb-client.js";
+import { definitionMentionsDeniedColumn, isColumnDenied, isTableDenied } from "./sql-guard.js";
+
+// Catalog snapshots larger than this are refused rather than silently cut short
+const MAX_CATALOG_ROWS = 100000;
+
+// Restrict a catalog query to `schemas`, or to all non-system schemas
+export const schemaFilter = (column, schemas) => schemas?.length
+    ? `${column} IN (${schemas.map(quoteLiteral).join(', ')})`
+    : `${column} NOT IN ('pg_catalog', 'information_schema') AND ${column} NOT LIKE 'pg\\_toast%' AND ${column} NOT LIKE 'pg\\_temp\\_%'`;
+
+// Objects that belong to an extension are managed by CREATE EXTENSION, not by migrations, so every catalog query
+// leaves them out, along with the columns, indexes and constraints of extension tables
+const notFromExtension = (oid) => `NOT EXISTS (SELECT 1 FROM pg_depend dep WHERE dep.objid = ${oid} AND dep.deptype = 'e')`;
+
+const qualified = (schema, name) => `${quoteIdentifier(schema)}.${quoteIdentifier(name)}`;
+
+const columnDefinition = (column) => [
+    quoteIdentifier(column.column),
+    column.type,
+    column.notNull ? 'NOT NULL' : null,
+    column.default !== null ? `DEFAULT ${column.default}` : null
+].filter(Boolean).join(' ');
+
+/**
+ * Match two lists of catalog objects by `keyOf` and report objects present on one side only,
+ * and objects present on both sides whose `compared` properties differ.
+ */
+const diffObjects = (left, right, keyOf, compared) => {
+    const rightByKey = new Map(right.map(item => [keyOf(item), item]));
+    const leftKeys = new Set(left.map(keyOf));
+    const changed = [];
+    for (const item of left) {
+        const match = rightByKey.get(keyOf(item));
+        const changes = match
+            ? compared.filter(property => item[property] !== match[property])
+                .map(property => ({ property, left: item[property], right: match[property] }))
+            : [];
+        if (changes.length > 0) {
+            changed.push({ left: item, right: match, changes });
+        }
+    }
+    return {
+        onlyInLeft: left.filter(item => !rightByKey.has(keyOf(item))),
+        onlyInRight: right.filter(item => !leftKeys.has(keyOf(item))),
+        changed
+    };
+};
+
+/**
+ * Compares the schemas of two environments: schemas, tables, columns (type, nullability, default), indexes,
+ * constraints, views and functions. Can also produce the DDL that would make the right environment
+ * match the left one; the DDL is only ever returned as text.
+ */
+export class SchemaDiffer {
+    constructor(database) {
+        this.database = database;
+        this.logger = createChildLogger('SchemaDiffer');
+    }
+
+    async read(environment, query) {
+        const result = await this.database.readQuery(query, { limit: MAX_CATALOG_ROWS, environment });
+        if (result.truncated) {
+            throw new Error(`The ${environment} catalog has more than ${MAX_CATALOG_ROWS} entries; restrict the comparison with 'schemas'`);
+        }
+        return result.rows;
+    }
+
+    // Catalog queries run one after another to use a single connection per environment at a time
+    async snapshot(environment, schemas) {
+        const namespaces = await this.read(environment, `
+            SELECT n.nspname AS name
+            FROM pg_namespace n
+            WHERE ${schemaFilter('n.nspname', schemas)} AND ${notFromExtension('n.oid')}
+            ORDER BY 1
+        `);
+        const tables = await this.read(environment, `
+            SELECT n.nspname AS schema, c.relname AS name
+            FROM pg_class c
+            JOIN pg_namespace n ON n.oid = c.relnamespace
+            WHERE c.relkind IN ('r', 'p') AND ${schemaFilter('n.nspname', schemas)} AND ${notFromExtension('c.oid')}
+            ORDER BY 1, 2
+        `);
+        const columns = await this.read(environment, `
+            SELECT n.nspname AS schema, c.relname AS table, a.attname AS column,
+                format_type(a.atttypid, a.atttypmod) AS type, a.attnotnull AS "notNull",
+                pg_get_expr(d.adbin, d.adrelid) AS default
+            FROM pg_attribute a
+            JOIN pg_class c ON c.oid = a.attrelid
+            JOIN pg_namespace n ON n.oid = c.relnamespace
+            LEFT JOIN pg_attrdef d ON d.adrelid = a.attrelid AND d.adnum = a.attnum
+            WHERE c.relkind IN ('r', 'p') AND a.attnum > 0 AND NOT a.attisdropped AND ${schemaFilter('n.nspname', schemas)}
+                AND ${notFromExtension('c.oid')}
+            ORDER BY 1, 2, a.attnum
+        `);
+        // Indexes that back a constraint are reported with the constraint
+        const indexes = await this.read(environment, `
+            SELECT n.nspname AS schema, t.relname AS table, i.relname AS name, pg_get_indexdef(i.oid) AS definition
+            FROM pg_index x
+            JOIN pg_class i ON i.oid = x.indexrelid
+            JOIN pg_class t ON t.oid = x.indrelid
+            JOIN pg_namespace n ON n.oid = i.relnamespace
+            WHERE t.relkind IN ('r', 'p', 'm') AND ${schemaFilter('n.nspname', schemas)}
+                AND NOT EXISTS (SELECT 1 FROM pg_constraint k WHERE k.conindid = i.oid AND k.contype IN ('p', 'u', 'x'))
+                AND ${notFromExtension('t.oid')} AND ${notFromExtension('i.oid')}
+            ORDER BY 1, 2, 3
+        `);
+        const constraints = await this.read(environment, `
+            SELECT n.nspname AS schema, t.relname AS table, k.conname AS name,
+                pg_get_constraintdef(k.oid) AS definition
+            FROM pg_constraint k
+            JOIN pg_class t ON t.oid = k.conrelid
+            JOIN pg_namespace n ON n.oid = t.relnamespace
+            WHERE k.contype IN ('p', 'u', 'f', 'c', 'x') AND ${schemaFilter('n.nspname', schemas)} AND ${notFromExtension('t.oid')}
+            ORDER BY 1, 2, 3
+        `);
+        const views = await this.read(environment, `
+            SELECT n.nspname AS schema, c.relname AS name,
+                CASE c.relkind WHEN 'm' THEN 'materialized view' ELSE 'view' END AS kind,
+                pg_get_viewdef(c.oid) AS definition
+            FROM pg_class c
+            JOIN pg_namespace n ON n.oid = c.relnamespace
+            WHERE c.relkind IN ('v', 'm') AND ${schemaFilter('n.nspname', schemas)} AND ${notFromExtension('c.oid')}
+            ORDER BY 1, 2
+        `);
+        const functions = await this.read(environment, `
+            SELECT n.nspname AS schema, p.proname AS name,
+                pg_get_function_identity_arguments(p.oid) AS arguments,
+                CASE p.prokind WHEN 'p' THEN 'procedure' ELSE 'function' END AS kind,
+                pg_get_functiondef(p.oid) AS definition
+            FROM pg_proc p
+            JOIN pg_namespace n ON n.oid = p.pronamespace
+            WHERE p.prokind IN ('f', 'p') AND ${schemaFilter('n.nspname', schemas)} AND ${notFromExtension('p.oid')}
+            ORDER BY 1, 2, 3
+        `);
+        return { schemas: namespaces, tables, columns, indexes, constraints, views, functions };
+    }
+
+    /**
+     * Leave out what either environment's policy denies: tables and views in `deniedTables` with their columns,
+     * indexes and constraints, columns in `deniedColumns`, and indexes and constraints that name such a column.
+     * An index or constraint denied on one side is dropped from both, so it is neither reported nor recreated.
+     */
+    withoutDenied(snapshots, policies) {
+        const tableDenied = (schema, table) => policies.some(policy => isTableDenied(schema, table, policy));
+        const columnDenied = ({ schema, table, column }) => tableDenied(schema, table) ||
+            policies.some(policy => isColumnDenied(schema, table, column, policy));
+        const definitionDenied = ({ schema, table, definition }) => tableDenied(schema, table) ||
+            policies.some(policy => definitionMentionsDeniedColumn(definition, schema, table, policy));
+        const deniedKeys = (kind) => new Set(snapshots.flatMap(snapshot =>
+            snapshot[kind].filter(definitionDenied).map(item => `${item.schema}.${item.table}.${item.name}`)));
+        const deniedIndexes = deniedKeys('indexes');
+        const deniedConstraints = deniedKeys('constraints');
+        const allowed = (denied) => (item) => !denied.has(`${item.schema}.${item.table}.${item.name}`);
+
+        return snapshots.map(snapshot => ({
+            ...snapshot,
+            tables: snapshot.tables.filter(table => !tableDenied(table.schema, table.name)),
+            columns: snapshot.columns.filter(column => !columnDenied(column)),
+            indexes: snapshot.indexes.filter(allowed(deniedIndexes)),
+            constraints: snapshot.constraints.filter(allowed(deniedConstraints)),
+            views: snapshot.views.filter(view => !tableDenied(view.schema, view.name))
+        }));
+    }
+
+    async diff({ left, right, schemas, includeDdl = false }) {
+        const startTime = Date.now();
+        const policies = [left, right].map(environment => this.database.getEnvironment(environment).policy);
+        this.logger.info('Diffing schemas', { left, right, schemas });
+
+        const [leftSchema, rightSchema] = this.withoutDenied(await Promise.all([
+            this.snapshot(left, schemas),
+            this.snapshot(right, schemas)
+        ]), policies);
+
+        const namespaces = diffObjects(leftSchema.schemas, rightSchema.schemas, item => item.name, []);
+        const tableKey = (item) => `${item.schema}.${item.table ?? item.name}`;
+        const tables = diffObjects(leftSchema.tables, rightSchema.tables, tableKey, []);
+        // Columns, indexes and constraints of a table that exists on one side only come with that table
+        const leftTables = new Set(leftSchema.tables.map(tableKey));
+        const rightTables = new Set(rightSchema.tables.map(tableKey));
+        const inBoth = (item) => leftTables.has(tableKey(item)) && rightTables.has(tableKey(item));
+        const onSharedTables = (snapshot, kind) => snapshot[kind].filter(inBoth);
+
+        const result = {
+            left,
+            right,
+            schemas: {
+                onlyInLeft: namespaces.onlyInLeft.map(item => item.name),
+                onlyInRight: namespaces.onlyInRight.map(item => item.name)
+            },
+            tables: {
+                onlyInLeft: tables.onlyInLeft.map(tableKey),
+                onlyInRight: tables.onlyInRight.map(tableKey)
+            },
+            columns: diffObjects(
+                onSharedTables(leftSchema, 'columns'), onSharedTables(rightSchema, 'columns'),
+                item => `${tableKey(item)}.${item.column}`, ['type', 'notNull', 'default']
+            ),
+            indexes: diffObjects(
+                onSharedTables(leftSchema, 'indexes'), onSharedTables(rightSchema, 'indexes'),
+                item => `${item.schema}.${item.name}`, ['definition']
+            ),
+            constraints: diffObjects(
+                onSharedTables(leftSchema, 'constraints'), onSharedTables(rightSchema, 'constraints'),
+                item => `${tableKey(item)}.${item.name}`, ['definition']
+            ),
+            views: diffObjects(
+                leftSchema.views, rightSchema.views,
+                item => `${item.schema}.${item.name}`, ['kind', 'definition']
+            ),
+            functions: diffObjects(
+                leftSchema.functions, rightSchema.functions,
+                item => `${item.schema}.${item.name}(${item.arguments})`, ['definition']
+            )
+        };
+        result.identical = ['schemas', 'tables'].every(kind =>
+                result[kind].onlyInLeft.length === 0 && result[kind].onlyInRight.length === 0) &&
+            ['columns', 'indexes', 'constraints', 'views', 'functions'].every(kind =>
+                result[kind].onlyInLeft.length === 0 && result[kind].onlyInRight.length === 0 && result[kind].changed.length === 0);
+        if (includeDdl) {
+            result.ddl = this.toDdl(result, leftSchema, tables);
+        }
+        result.durationMs = Date.now() - startTime;
+
+        this.logger.info('Schema diff completed', { left, right, identical: result.identical, durationMs: result.durationMs });
+        return result;
+    }
+
+    /**
+     * DDL statements that would make the right environment match the left one. Drops come first and
+     * destructive statements (DROP TABLE/COLUMN/SCHEMA) last, so they are easy to review separately.
+     * New schemas are created before anything that is created in them.
+     */
+    toDdl(diff, leftSchema, tables) {
+        const newTables = tables.onlyInLeft;
+        const statements = [];
+        const add = (statement) => statements.push(`${statement};`);
+
+        for (const { schema, table, name } of diff.constraints.onlyInRight) {
+            add(`ALTER TABLE ${qualified(schema, table)} DROP CONSTRAINT ${quoteIdentifier(name)}`);
+        }
+        for (const { right: { schema, table, name } } of diff.constraints.changed) {
+            add(`ALTER TABLE ${qualified(schema, table)} DROP CONSTRAINT ${quoteIdentifier(name)}`);
+        }
+        for (const { schema, name } of [...diff.indexes.onlyInRight, ...diff.indexes.changed.map(entry => entry.right)]) {
+            add(`DROP INDEX ${qualified(schema, name)}`);
+        }
+        for (const { schema, name, kind } of diff.views.onlyInRight) {
+            add(`DROP ${kind.toUpperCase()} ${qualified(schema, name)}`);
+        }
+        for (const { schema, name, kind, arguments: args } of diff.functions.onlyInRight) {
+            add(`DROP ${kind.toUpperCase()} ${qualified(schema, name)}(${args})`);
+        }
+
+        for (const name of diff.schemas.onlyInLeft) {
+            add(`CREATE SCHEMA ${quoteIdentifier(name)}`);
+        }
+        for (const { schema, name } of newTables) {
+            const columns = leftSchema.columns.filter(column => column.schema === schema && column.table === name);
+            add(`CREATE TABLE ${qualified(schema, name)} (\n    ${columns.map(columnDefinition).join(',\n    ')}\n)`);
+        }
+        for (const column of diff.columns.onlyInLeft) {
+            add(`ALTER TABLE ${qualified(column.schema, column.table)} ADD COLUMN ${columnDefinition(column)}`);
+        }
+        for (const { left: column, changes } of diff.columns.changed) {
+            const target = `ALTER TABLE ${qualified(column.schema, column.table)} ALTER COLUMN ${quoteIdentifier(column.column)}`;
+            for (const { property } of changes) {
+                if (property === 'type') {
+                    add(`${target} TYPE ${column.type}`);
+                } else if (property === 'notNull') {
+                    add(`${target} ${column.notNull ? 'SET' : 'DROP'} NOT NULL`);
+                } else if (property === 'default') {
+                    add(column.default === null ? `${target} DROP DEFAULT` : `${target} SET DEFAULT ${column.default}`);
+                }
+            }
+        }
+
+        // Constraints and indexes of new tables are created with the ones added to existing tables
+        const isNewTable = (item) => newTables.some(table => table.schema === item.schema && table.name === item.table);
+        const newConstraints = [
+            ...leftSchema.constraints.filter(isNewTable),
+            ...diff.constraints.onlyInLeft,
+            ...diff.constraints.changed.map(entry => entry.left)
+        ];
+        // Foreign keys last, once the keys they reference exist
+        newConstraints.sort((a, b) => a.definition.startsWith('FOREIGN KEY') - b.definition.startsWith('FOREIGN KEY'));
+        for (const { schema, table, name, definition } of newConstraints) {
+            add(`ALTER TABLE ${qualified(schema, table)} ADD CONSTRAINT ${quoteIdentifier(name)} ${definition}`);
+        }
+        for (const { definition } of [
+            ...leftSchema.indexes.filter(isNewTable),
+            ...diff.indexes.onlyInLeft,
+            ...diff.indexes.changed.map(entry => entry.left)
+        ]) {
+            add(definition);
+        }
+
+        for (const { schema, name, kind, definition } of diff.views.onlyInLeft) {
+            add(`CREATE ${kind.toUpperCase()} ${qualified(schema, name)} AS\n${definition.replace(/;\s*$/, '')}`);
+        }
+        for (const { left: { schema, name, kind, definition }, right } of diff.views.changed) {
+            // Views cannot change kind or drop columns in place
+            if (kind !== right.kind || kind === 'materialized view') {
+                add(`DROP ${right.kind.toUpperCase()} ${qualified(schema, name)}`);
+                add(`CREATE ${kind.toUpperCase()} ${qualified(schema, name)} AS\n${definition.replace(/;\s*$/, '')}`);
+            } else {
+                add(`CREATE OR REPLACE VIEW ${qualified(schema, name)} AS\n${definition.replace(/;\s*$/, '')}`);
+            }
+        }
+        for (const { definition } of [...diff.functions.onlyInLeft, ...diff.functions.changed.map(entry => entry.left)]) {
+            // pg_get_functiondef already produces CREATE OR REPLACE
+            add(definition.trim());
+        }
+
+        for (const { schema, table, column } of diff.columns.onlyInRight) {
+            add(`ALTER TABLE ${qualified(schema, table)} DROP COLUMN ${quoteIdentifier(column)}`);
+        }
+        for (const { schema, name } of tables.onlyInRight) {
+            add(`DROP TABLE ${qualified(schema, name)}`);
+        }
+        for (const name of diff.schemas.onlyInRight) {
+            add(`DROP SCHEMA ${quoteIdentifier(name)}`);
+        }
+        return statements;
+    }
+}
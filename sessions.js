@@ -0,0 +1,137 @@
+import { createChildLogger } from "./logger.js";
+
+// The stdio transport has a single session without an id
+export const DEFAULT_SESSION = 'default';
+
+/**
+ * Tracks the environment chosen with setEnvironment per MCP session, so one client switching
+ * environments never redirects another client's queries. A selection reverts to the default
+ * environment after `environmentResetMillis` (0 keeps it until changed); selecting again
+ * replaces the pending reset instead of stacking timers.
+ */
+export class EnvironmentSessions {
+    constructor(database, { environmentResetMillis }) {
+        this.database = database;
+        this.resetMillis = environmentResetMillis;
+        this.sessions = new Map();
+        // Environments each restricted session may use, e.g. per HTTP auth token; other sessions may use all
+        this.access = new Map();
+        this.listeners = new Set();
+        this.logger = createChildLogger('Sessions');
+    }
+
+    current(sessionId = DEFAULT_SESSION) {
+        return this.sessions.get(sessionId)?.environment ?? this.defaultFor(sessionId);
+    }
+
+    // The configured default environment, or the first allowed one when the session may not use it
+    defaultFor(sessionId = DEFAULT_SESSION) {
+        const allowed = this.access.get(sessionId);
+        return !allowed || allowed.has(this.database.defaultEnvironment)
+            ? this.database.defaultEnvironment
+            : [...allowed][0];
+    }
+
+    // Limit the session to `environments`; the list must not be empty
+    restrict(sessionId, environments) {
+        this.access.set(sessionId, new Set(environments));
+    }
+
+    // Names of the environments the session may use, or null when it may use all of them
+    allowed(sessionId = DEFAULT_SESSION) {
+        const allowed = this.access.get(sessionId);
+        return allowed ? [...allowed] : null;
+    }
+
+    permits(sessionId = DEFAULT_SESSION, environment) {
+        const allowed = this.access.get(sessionId);
+        return !allowed || allowed.has(environment);
+    }
+
+    // Milliseconds until the session's environment reverts to the default, or null when none is pending
+    remainingMillis(sessionId = DEFAULT_SESSION) {
+        const resetAt = this.sessions.get(sessionId)?.resetAt;
+        return resetAt ? Math.max(0, resetAt - Date.now()) : null;
+    }
+
+    // Call `listener(sessionId, environment)` whenever a session's environment changes; returns an unsubscribe function
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notify(sessionId) {
+        const environment = this.current(sessionId);
+        for (const listener of this.listeners) {
+            listener(sessionId, environment);
+        }
+    }
+
+    select(sessionId = DEFAULT_SESSION, environment) {
+        this.resolve(environment, sessionId);
+        const previous = this.current(sessionId);
+        this.clear(sessionId);
+        if (environment === this.defaultFor(sessionId)) {
+            this.logger.info('Session environment reset to default', { sessionId, environment });
+            if (previous !== environment) {
+                this.notify(sessionId);
+            }
+            return;
+        }
+
+        const state = { environment, resetAt: null, timer: null };
+        if (this.resetMillis > 0) {
+            state.resetAt = Date.now() + this.resetMillis;
+            state.timer = setTimeout(() => {
+                this.sessions.delete(sessionId);
+                this.logger.info('Session environment reset to default after timeout', {
+                    sessionId,
+                    environment,
+                    defaultEnvironment: this.defaultFor(sessionId)
+                });
+                this.notify(sessionId);
+            }, this.resetMillis);
+            state.timer.unref();
+        }
+        this.sessions.set(sessionId, state);
+        this.logger.info('Session environment selected', { sessionId, environment, resetAt: state.resetAt });
+        if (previous !== environment) {
+            this.notify(sessionId);
+        }
+    }
+
+    /**
+     * The environment a request should use: its explicit `environment` argument when given,
+     * otherwise the session's current environment. Throws for environments the session may not use.
+     */
+    resolve(environment, sessionId = DEFAULT_SESSION) {
+        if (environment) {
+            const { name } = this.database.getEnvironment(environment);
+            if (!this.permits(sessionId, name)) {
+                throw new Error(`Environment ${name} is not available to this session`);
+            }
+            return name;
+        }
+        return this.current(sessionId);
+    }
+
+    clear(sessionId = DEFAULT_SESSION) {
+        const state = this.sessions.get(sessionId);
+        if (state) {
+            clearTimeout(state.timer);
+            this.sessions.delete(sessionId);
+        }
+    }
+
+    // Forget a session that has ended, including its access restriction
+    end(sessionId) {
+        this.clear(sessionId);
+        this.access.delete(sessionId);
+    }
+
+    closeAll() {
+        for (const sessionId of [...this.sessions.keys()]) {
+            this.clear(sessionId);
+        }
+    }
+}
@@ -0,0 +1,491 @@
+import { parse, scan } from "libpg-query";
+
+// Functions with side effects (server control, file/large-object access, locks, sequences, remote execution)
+export const DEFAULT_DENIED_FUNCTIONS = [
+    'pg_terminate_backend', 'pg_cancel_backend', 'pg_reload_conf', 'pg_rotate_logfile',
+    'pg_promote', 'pg_switch_wal', 'pg_create_restore_point', 'pg_backup_start', 'pg_backup_stop',
+    'pg_start_backup', 'pg_stop_backup', 'pg_wal_replay_pause', 'pg_wal_replay_resume',
+    'pg_create_physical_replication_slot', 'pg_create_logical_replication_slot', 'pg_drop_replication_slot',
+    'pg_logical_emit_message', 'pg_replication_origin_create', 'pg_replication_origin_drop',
+    'pg_sleep', 'pg_sleep_for', 'pg_sleep_until',
+    'pg_read_file', 'pg_read_binary_file', 'pg_ls_dir', 'pg_stat_file', 'pg_file_write', 'pg_file_unlink', 'pg_file_rename',
+    'lo_import', 'lo_export', 'lo_create', 'lo_creat', 'lo_unlink', 'lo_put', 'lo_from_bytea', 'lo_truncate',
+    'pg_advisory_lock', 'pg_advisory_lock_shared', 'pg_advisory_xact_lock', 'pg_advisory_xact_lock_shared',
+    'pg_try_advisory_lock', 'pg_try_advisory_lock_shared', 'pg_try_advisory_xact_lock', 'pg_try_advisory_xact_lock_shared',
+    'nextval', 'setval', 'set_config', 'pg_notify',
+    'dblink', 'dblink_exec', 'dblink_connect', 'dblink_send_query',
+    'query_to_xml', 'query_to_xml_and_xmlschema', 'query_to_xmlschema', 'cursor_to_xml'
+];
+
+const DATA_MODIFYING_STATEMENTS = {
+    InsertStmt: 'INSERT',
+    UpdateStmt: 'UPDATE',
+    DeleteStmt: 'DELETE',
+    MergeStmt: 'MERGE'
+};
+
+const statementName = (stmt) => Object.keys(stmt || {})[0] || 'unknown';
+
+const isOptionEnabled = (defElem) => {
+    if (!defElem.arg) {
+        return true;
+    }
+    if (defElem.arg.Boolean) {
+        return Boolean(defElem.arg.Boolean.boolval);
+    }
+    const value = defElem.arg.String?.sval ?? defElem.arg.A_Const?.sval?.sval;
+    if (typeof value === 'string') {
+        return !['false', 'off', '0', 'no'].includes(value.toLowerCase());
+    }
+    return true;
+};
+
+// Walk every node of the AST, returning the first rejection reason found
+const findViolation = (node, deniedFunctions) => {
+    if (Array.isArray(node)) {
+        for (const item of node) {
+            const violation = findViolation(item, deniedFunctions);
+            if (violation) return violation;
+        }
+        return null;
+    }
+
+    if (!node || typeof node !== 'object') {
+        return null;
+    }
+
+    for (const [key, value] of Object.entries(node)) {
+        if (DATA_MODIFYING_STATEMENTS[key]) {
+            return `Data-modifying statement (${DATA_MODIFYING_STATEMENTS[key]}) is not allowed, including inside WITH clauses`;
+        }
+
+        if (key === 'FuncCall') {
+            const nameParts = (value.funcname || []).map(part => part.String?.sval).filter(Boolean);
+            const functionName = nameParts[nameParts.length - 1]?.toLowerCase();
+            if (functionName && deniedFunctions.has(functionName)) {
+                return `Function ${nameParts.join('.')}() is not allowed`;
+            }
+        }
+
+        if (key === 'SelectStmt') {
+            if (value.intoClause) {
+                return "SELECT INTO is not allowed because it creates a table";
+            }
+            if (value.lockingClause) {
+                return "SELECT ... FOR UPDATE/SHARE is not allowed because it acquires row locks";
+            }
+        }
+
+        const violation = findViolation(value, deniedFunctions);
+        if (violation) return violation;
+    }
+
+    return null;
+};
+
+const buildDeniedFunctions = ({ deniedFunctions = [], allowedFunctions = [] } = {}) => {
+    const allowed = new Set(allowedFunctions.map(name => name.toLowerCase()));
+    return new Set(
+        [...DEFAULT_DENIED_FUNCTIONS, ...deniedFunctions]
+            .map(name => name.toLowerCase())
+            .filter(name => !allowed.has(name))
+    );
+};
+
+/**
+ * Validate that a query is a single read-only statement using the PostgreSQL parser.
+ * Returns { valid: true, statementType, statement } or { valid: false, reason }, where `statement` is the
+ * query text without a trailing semicolon, safe to embed in a larger statement.
+ * `options.deniedFunctions` extends the default function denylist, `options.allowedFunctions` removes entries from it.
+ */
+export const validateReadOnlyQuery = async (query, options = {}) => {
+    if (!query || !query.trim()) {
+        return { valid: false, reason: "Query is empty" };
+    }
+
+    let ast;
+    try {
+        ast = await parse(query);
+    } catch (error) {
+        return { valid: false, reason: `SQL syntax error: ${error.message}` };
+    }
+
+    const statements = ast.stmts || [];
+    if (statements.length === 0) {
+        return { valid: false, reason: "Query contains no statements" };
+    }
+    if (statements.length > 1) {
+        return { valid: false, reason: `Multiple statements are not allowed (found ${statements.length})` };
+    }
+
+    const deniedFunctions = buildDeniedFunctions(options);
+    const { stmt, stmt_location: location = 0, stmt_len: length } = statements[0];
+    const type = statementName(stmt);
+    // The statement without a trailing semicolon or comments; parser locations are byte offsets
+    const bytes = Buffer.from(query);
+    const statement = bytes.subarray(location, length ? location + length : bytes.length).toString().trim().replace(/;$/, '');
+
+    if (type === 'SelectStmt') {
+        const violation = findViolation(stmt, deniedFunctions);
+        return violation ? { valid: false, reason: violation } : { valid: true, statementType: 'SELECT', statement };
+    }
+
+    if (type === 'ExplainStmt') {
+        const explain = stmt.ExplainStmt;
+        const analyze = (explain.options || []).some(option =>
+            option.DefElem?.defname === 'analyze' && isOptionEnabled(option.DefElem));
+
+        // Plain EXPLAIN only plans the statement, EXPLAIN ANALYZE executes it
+        if (!analyze) {
+            return { valid: true, statementType: 'EXPLAIN', statement };
+        }
+
+        const innerType = statementName(explain.query);
+        if (innerType !== 'SelectStmt') {
+            return { valid: false, reason: `EXPLAIN ANALYZE is only allowed for SELECT statements (found ${innerType.replace(/Stmt$/, '').toUpperCase()})` };
+        }
+        const violation = findViolation(explain.query, deniedFunctions);
+        return violation ? { valid: false, reason: violation } : { valid: true, statementType: 'EXPLAIN', statement };
+    }
+
+    return { valid: false, reason: `Only SELECT, WITH, and EXPLAIN statements are allowed (found ${type.replace(/Stmt$/, '').toUpperCase()})` };
+};
+
+/**
+ * The statement an EXPLAIN ANALYZE in `statement` (as returned by validateReadOnlyQuery) executes, i.e. the text
+ * after EXPLAIN and its options, or null when `statement` is not an EXPLAIN ANALYZE.
+ */
+export const explainAnalyzeTarget = async (statement) => {
+    const [{ stmt }] = (await parse(statement)).stmts;
+    const analyze = (stmt.ExplainStmt?.options || []).some(option =>
+        option.DefElem?.defname === 'analyze' && isOptionEnabled(option.DefElem));
+    if (!analyze) {
+        return null;
+    }
+
+    // EXPLAIN (option, ...) statement, or the older EXPLAIN [ANALYZE] [VERBOSE] statement
+    const tokens = (await scan(statement)).tokens.filter(token => !/COMMENT/.test(token.tokenName));
+    let position = 1;
+    if (tokens[position].text === '(') {
+        for (let depth = 0; position < tokens.length; position++) {
+            depth += tokens[position].text === '(' ? 1 : tokens[position].text === ')' ? -1 : 0;
+            if (depth === 0) {
+                break;
+            }
+        }
+        position++;
+    } else {
+        while (/^(analy[sz]e|verbose)$/i.test(tokens[position].text)) {
+            position++;
+        }
+    }
+    // Scanner positions are byte offsets
+    return Buffer.from(statement).subarray(tokens[position].start).toString();
+};
+
+// Relations (with their aliases) and column references anywhere in the AST, names lower-cased
+const collectReferences = (node, references = { relations: [], columns: [] }) => {
+    if (Array.isArray(node)) {
+        node.forEach(item => collectReferences(item, references));
+        return references;
+    }
+    if (!node || typeof node !== 'object') {
+        return references;
+    }
+
+    for (const [key, value] of Object.entries(node)) {
+        if (key === 'RangeVar') {
+            references.relations.push({
+                catalog: value.catalogname?.toLowerCase(),
+                schema: value.schemaname?.toLowerCase(),
+                name: value.relname?.toLowerCase(),
+                alias: value.alias?.aliasname?.toLowerCase()
+            });
+        }
+        if (key === 'ColumnRef') {
+            references.columns.push((value.fields || []).map(field => field.A_Star ? '*' : field.String?.sval?.toLowerCase()));
+        }
+        collectReferences(value, references);
+    }
+    return references;
+};
+
+// "schema.table" matches that table only; a bare "table" matches it in any schema
+const matchesRelation = (relation, [schema, table]) =>
+    relation.name === table && (!schema || !relation.schema || relation.schema === schema);
+
+// A denylist entry split into `parts` lowercase names, leading parts undefined when not given
+const splitName = (entry, parts) => {
+    const names = entry.toLowerCase().split('.');
+    return [...Array(parts - names.length).fill(undefined), ...names];
+};
+
+// Whether a policy's `deniedTables` rules out the table `schema`.`table`, e.g. to leave it out of catalog listings
+export const isTableDenied = (schema, table, { deniedTables = [] } = {}) =>
+    deniedTables.some(entry => matchesRelation({ schema: schema.toLowerCase(), name: table.toLowerCase() }, splitName(entry, 2)));
+
+// Whether a policy's `deniedColumns` rules out `column` of the table `schema`.`table`
+export const isColumnDenied = (schema, table, column, { deniedColumns = [] } = {}) =>
+    deniedColumns.some(entry => {
+        const [deniedSchema, deniedTable, deniedColumn] = splitName(entry, 3);
+        return deniedColumn === column.toLowerCase() && (!deniedTable ||
+            matchesRelation({ schema: schema.toLowerCase(), name: table.toLowerCase() }, [deniedSchema, deniedTable]));
+    });
+
+// Whether an index or constraint `definition` (pg_get_indexdef, pg_get_constraintdef) on `schema`.`table` names a
+// column `deniedColumns` rules out, on that table or on a table it references such as a foreign key's
+export const definitionMentionsDeniedColumn = (definition, schema, table, { deniedColumns = [] } = {}) => {
+    const identifiers = new Set((definition.match(/"(?:[^"]|"")*"|[A-Za-z_][\w$]*/g) || [])
+        .map(token => (token.startsWith('"') ? token.slice(1, -1).replace(/""/g, '"') : token).toLowerCase()));
+    return deniedColumns.some(entry => {
+        const [deniedSchema, deniedTable, deniedColumn] = splitName(entry, 3);
+        return identifiers.has(deniedColumn) && (!deniedTable || identifiers.has(deniedTable) ||
+            matchesRelation({ schema: schema.toLowerCase(), name: table.toLowerCase() }, [deniedSchema, deniedTable]));
+    });
+};
+
+/**
+ * Find references to denied tables or columns in a query. `deniedTables` entries are "table" or
+ * "schema.table"; `deniedColumns` entries are "column", "table.column" or "schema.table.column".
+ * A column qualified with its table also rules out SELECT * and whole-row references to that table,
+ * since they would return it too. Returns the rejection reason, or null when the query is allowed.
+ * `catalog` names the alias of an attached database (DuckDB), so "alias.table" is read as an unqualified table.
+ * This is a static check of the statement: views or functions that expose the data are not followed.
+ */
+export const findDeniedReference = async (query, { deniedTables = [], deniedColumns = [] } = {}, { catalog } = {}) => {
+    if (deniedTables.length === 0 && deniedColumns.length === 0) {
+        return null;
+    }
+
+    const references = collectReferences(await parse(query));
+    const columns = references.columns;
+    const relations = references.relations.map(relation => (
+        catalog && !relation.catalog && relation.schema === catalog.toLowerCase() ? { ...relation, schema: undefined } : relation
+    ));
+    for (const entry of deniedTables) {
+        if (relations.some(relation => matchesRelation(relation, splitName(entry, 2)))) {
+            return `Table ${entry} is not allowed`;
+        }
+    }
+
+    for (const entry of deniedColumns) {
+        const [schema, table, column] = splitName(entry, 3);
+        const matched = table ? relations.filter(relation => matchesRelation(relation, [schema, table])) : [];
+        if (table && matched.length === 0) {
+            continue;
+        }
+        if (columns.some(fields => fields[fields.length - 1] === column)) {
+            return `Column ${entry} is not allowed`;
+        }
+        const relationNames = matched.flatMap(relation => [relation.name, relation.alias]).filter(Boolean);
+        if (table && columns.some(fields => fields.includes('*') || (fields.length === 1 && relationNames.includes(fields[0])))) {
+            return `Column ${entry} is not allowed, so SELECT * and whole-row references to ${table} are rejected as well; list the allowed columns instead`;
+        }
+    }
+    return null;
+};
+
+// The column name PostgreSQL gives an output expression without an alias (a subset of FigureColname)
+const figureColumnName = (node) => {
+    const [type, value] = Object.entries(node || {})[0] ?? [];
+    switch (type) {
+        case 'ColumnRef':
+            return value.fields[value.fields.length - 1].String?.sval ?? null;
+        case 'A_Indirection':
+            return value.indirection[value.indirection.length - 1].String?.sval ?? figureColumnName(value.arg);
+        case 'FuncCall':
+            return value.funcname[value.funcname.length - 1].String.sval;
+        case 'TypeCast':
+            return figureColumnName(value.arg) ?? value.typeName.names[value.typeName.names.length - 1].String.sval;
+        case 'CollateClause':
+            return figureColumnName(value.arg);
+        case 'A_ArrayExpr':
+            return 'array';
+        case 'RowExpr':
+            return 'row';
+        case 'CoalesceExpr':
+            return 'coalesce';
+        case 'CaseExpr':
+            return 'case';
+        case 'MinMaxExpr':
+            return value.op === 'IS_GREATEST' ? 'greatest' : 'least';
+        case 'A_Expr':
+            return value.kind === 'AEXPR_NULLIF' ? 'nullif' : '?column?';
+        case 'SubLink':
+            if (value.subLinkType === 'EXISTS_SUBLINK') return 'exists';
+            if (value.subLinkType === 'ARRAY_SUBLINK') return 'array';
+            return value.subLinkType === 'EXPR_SUBLINK'
+                ? outputName(value.subselect.SelectStmt?.targetList?.[0]?.ResTarget) ?? '?column?'
+                : '?column?';
+        default:
+            return '?column?';
+    }
+};
+
+const outputName = (target) => target && (target.name ?? figureColumnName(target.val))?.toLowerCase();
+
+const aliasColumns = (alias) => (alias?.colnames || []).map(name => name.String.sval.toLowerCase());
+
+// The SELECTs whose target lists make up the output of a set operation (UNION, INTERSECT, EXCEPT)
+const setOperands = (select) => select.op && select.op !== 'SETOP_NONE'
+    ? [...setOperands(select.larg), ...setOperands(select.rarg)]
+    : [select];
+
+// The output expressions of a SELECT or VALUES list, or null when a bare * hides their positions
+const outputExpressions = (select) => {
+    if (select.valuesLists) {
+        return select.valuesLists[0].List.items;
+    }
+    const targets = (select.targetList || []).map(target => target.ResTarget.val);
+    return targets.some(val => val.ColumnRef?.fields.some(field => field.A_Star)) ? null : targets;
+};
+
+/**
+ * Find the output columns of a SELECT that may carry the values of sensitive columns, also when they are
+ * read through expressions (`lower(email)`, `email::text`), aliases, subqueries, CTEs or set operations.
+ * `columns` entries are { schema, table, column } with lower-case names (schema and table optional) and
+ * only count when the query reads their table; `patterns` entries carry a `regex` tested on column names.
+ * Each output column is given the first entry it reads, or null. Returns { positions, names }: per output
+ * position, or null when a bare * hides the positions, and a Map of output names (lower-cased) to entries,
+ * for results matched by name. Throws when a sensitive column is read by a function in the FROM clause,
+ * whose output columns cannot be traced. Like findDeniedReference, views and functions are not followed.
+ */
+export const traceOutputColumns = async (query, { columns = [], patterns = [] } = {}, { catalog } = {}) => {
+    const ast = await parse(query);
+    const statement = ast.stmts?.[0]?.stmt?.SelectStmt;
+    if (!statement || (columns.length === 0 && patterns.length === 0)) {
+        return { positions: null, names: new Map() };
+    }
+
+    const relations = collectReferences(ast).relations.map(relation => (
+        catalog && !relation.catalog && relation.schema === catalog.toLowerCase() ? { ...relation, schema: undefined } : relation
+    ));
+    const readColumns = columns.filter(entry => !entry.table || relations.some(relation => matchesRelation(relation, [entry.schema, entry.table])));
+
+    // Names that may carry sensitive values: the columns themselves, and the names subqueries give them
+    const sensitive = new Map();
+    let changed = false;
+    const taint = (name, entry) => {
+        if (name && entry && !sensitive.has(name)) {
+            sensitive.set(name, entry);
+            changed = true;
+        }
+    };
+    readColumns.forEach(entry => taint(entry.column, entry));
+
+    // Names of everything in FROM clauses, so `u` in `to_json(u)` is known as a whole-row reference
+    const rangeNames = new Set();
+    const collectRangeNames = (node) => {
+        if (Array.isArray(node)) return node.forEach(collectRangeNames);
+        if (!node || typeof node !== 'object') return;
+        for (const [key, value] of Object.entries(node)) {
+            if (key === 'RangeVar') rangeNames.add(value.relname.toLowerCase());
+            if (key === 'CommonTableExpr') rangeNames.add(value.ctename.toLowerCase());
+            if (key === 'alias' && value?.aliasname) rangeNames.add(value.aliasname.toLowerCase());
+            collectRangeNames(value);
+        }
+    };
+    collectRangeNames(ast);
+
+    // A whole row of `name` (or of any relation) carries the sensitive columns of its table
+    const wholeRow = (name) => {
+        const named = relations.filter(relation => relation.alias === name || relation.name === name);
+        const rowRelations = name && named.length > 0 ? named : relations;
+        return readColumns.find(entry => !entry.table || rowRelations.some(relation => matchesRelation(relation, [entry.schema, entry.table])))
+            ?? patterns[0] ?? null;
+    };
+
+    const columnMatch = (fields) => {
+        const names = fields.map(field => field.A_Star ? '*' : field.String?.sval?.toLowerCase());
+        const last = names[names.length - 1];
+        if (last === '*') {
+            return wholeRow(names[names.length - 2]);
+        }
+        return sensitive.get(last) ?? patterns.find(pattern => pattern.regex.test(last)) ??
+            (names.length === 1 && rangeNames.has(last) ? wholeRow(last) : null);
+    };
+
+    // The first sensitive entry an expression reads, anywhere inside it
+    const expressionMatch = (node) => {
+        if (Array.isArray(node)) {
+            for (const item of node) {
+                const match = expressionMatch(item);
+                if (match) return match;
+            }
+            return null;
+        }
+        if (!node || typeof node !== 'object') {
+            return null;
+        }
+        // (u).email reads the email column of u's row
+        const indirection = node.A_Indirection;
+        if (indirection?.arg.ColumnRef && indirection.indirection.every(item => item.String)) {
+            return columnMatch([...indirection.arg.ColumnRef.fields, ...indirection.indirection]);
+        }
+        if (node.ColumnRef) {
+            return columnMatch(node.ColumnRef.fields);
+        }
+        for (const value of Object.values(node)) {
+            const match = expressionMatch(value);
+            if (match) return match;
+        }
+        return null;
+    };
+
+    // Taint the names a nested SELECT gives its sensitive outputs; returns the first entry it outputs
+    const walkSelect = (select) => {
+        let output = null;
+        select.withClause?.ctes.forEach(({ CommonTableExpr: cte }) => {
+            const match = walkSelect(cte.ctequery.SelectStmt);
+            aliasColumns({ colnames: cte.aliascolnames }).forEach(name => taint(name, match));
+        });
+        if (select.op && select.op !== 'SETOP_NONE') {
+            return walkSelect(select.larg) ?? walkSelect(select.rarg);
+        }
+        (select.fromClause || []).forEach(walkFrom);
+        (select.targetList || []).forEach(({ ResTarget: target }) => {
+            const match = expressionMatch(target.val);
+            taint(outputName(target), match);
+            output ??= match;
+        });
+        (select.valuesLists || []).forEach(({ List: row }) => row.items.forEach((item, index) => {
+            const match = expressionMatch(item);
+            taint(`column${index + 1}`, match);
+            output ??= match;
+        }));
+        return output;
+    };
+
+    // Walk a FROM item; column aliases such as `AS s(a, b)` rename its sensitive columns
+    const walkFrom = (item) => {
+        const [type, value] = Object.entries(item)[0];
+        let match;
+        if (type === 'RangeVar') {
+            match = wholeRow(value.relname.toLowerCase());
+        } else if (type === 'RangeSubselect') {
+            match = walkSelect(value.subquery.SelectStmt);
+        } else if (type === 'JoinExpr') {
+            match = walkFrom(value.larg) ?? walkFrom(value.rarg);
+        } else {
+            match = expressionMatch(value);
+            if (match) {
+                throw new Error(`A function in the FROM clause reads ${match.column ? `column ${match.column}` : 'a sensitive column'}, ` +
+                    'so the output columns it reaches cannot be traced; select the column directly instead');
+            }
+        }
+        aliasColumns(value.alias).forEach(name => taint(name, match));
+        return match;
+    };
+
+    // Names can be tainted after a scope that refers to them was walked, so repeat until nothing changes
+    do {
+        changed = false;
+        walkSelect(statement);
+    } while (changed);
+
+    const operands = setOperands(statement).map(outputExpressions);
+    const positions = operands.every(Boolean)
+        ? operands[0].map((_, index) => operands.map(expressions => expressionMatch(expressions[index])).find(Boolean) ?? null)
+        : null;
+    return { positions, names: sensitive };
+};
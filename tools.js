@@ -1,45 +1,28 @@
 import { z } from "zod";
-import * as dfd from "danfojs-node";
 import { createChildLogger } from "./logger.js";
-
-// Security: Only allow SELECT queries for read-only access
-const isReadOnlyQuery = (query) => {
-    const trimmedQuery = query.trim().toLowerCase();
-    return trimmedQuery.startsWith('select') ||
-        trimmedQuery.startsWith('with') ||
-        trimmedQuery.startsWith('explain');
-};
-
-// Check if query has a LIMIT clause for safety
-const hasLimitClause = (query) => {
-    const trimmedQuery = query.trim().toLowerCase();
-    return trimmedQuery.includes('limit');
-};
-
-// Enhanced security: Block potentially dangerous code patterns
+import { validateReadOnlyQuery } from "./sql-guard.js";
+import { OUTPUT_FORMATS, normalizeRows, inferColumns, toFormattedContent } from "./formatters.js";
+import { EXPORT_FORMATS, QueryExporter } from "./exporter.js";
+import { DATABASE_ALIAS, DUCKDB_DENIED_FUNCTIONS, FileQueryEngine } from "./file-query.js";
+import { FILE_FORMATS } from "./duckdb-client.js";
+import { runAnalysisSteps } from "./sandbox.js";
+import { EnvironmentComparer } from "./environment-diff.js";
+import { SchemaDiffer } from "./schema-diff.js";
+import { EnvironmentSessions, DEFAULT_SESSION } from "./sessions.js";
+import { QueryPolicy } from "./policy.js";
+import { DataMasker } from "./masking.js";
+
+// Fast pre-check that rejects obvious escape attempts with a clear message before a sandbox is started.
+// The isolation itself comes from runAnalysisCode, so this list does not need to be exhaustive.
 const isSafeAnalysisCode = (code) => {
     const dangerousPatterns = [
-        { pattern: /process\.env/, name: "process.env access" },
-        { pattern: /require\(/, name: "require() function" },
-        { pattern: /import\s+/, name: "import statements" },
-        { pattern: /eval\(/, name: "eval() function" },
-        { pattern: /Function\(/, name: "Function constructor" },
-        { pattern: /setTimeout\(/, name: "setTimeout() function" },
-        { pattern: /setInterval\(/, name: "setInterval() function" },
-        { pattern: /global\./, name: "global object access" },
-        { pattern: /window\./, name: "window object access" },
-        { pattern: /document\./, name: "document object access" },
-        { pattern: /fetch\(/, name: "fetch() function" },
-        { pattern: /XMLHttpRequest/, name: "XMLHttpRequest" },
-        { pattern: /http/, name: "http is not allowed" },
-        { pattern: /\.query\(/, name: "query() method calls" },
-        { pattern: /\.connect\(/, name: "connect() method calls" },
-        { pattern: /\.pool/, name: "pool property access" },
-        { pattern: /pg\./, name: "pg module access" },
-        { pattern: /postgres/, name: "postgres references" },
-        { pattern: /database/, name: "database references" },
-        { pattern: /readCSV/, name: "readCSV is not allowed" },
-        { pattern: /password/, name: "password is not allowed" },
+        { pattern: /\bprocess\b/, name: "process access" },
+        { pattern: /\brequire\s*\(/, name: "require() function" },
+        { pattern: /\bimport\b/, name: "import statements" },
+        { pattern: /\beval\s*\(/, name: "eval() function" },
+        { pattern: /\bFunction\s*\(/, name: "Function constructor" },
+        { pattern: /constructor\s*\.\s*constructor|\[\s*["'`]constructor["'`]\s*\]/, name: "constructor chain access" },
+        { pattern: /\bglobal(This)?\b/, name: "global object access" },
     ];
 
     for (const { pattern, name } of dangerousPatterns) {
@@ -51,27 +34,424 @@ const isSafeAnalysisCode = (code) => {
     return { safe: true };
 };
 
-export const registerTools = (server, database) => {
+const columnSchema = z.object({
+    name: z.string(),
+    typeId: z.number().optional().describe("PostgreSQL type OID (absent for DuckDB file query results)"),
+    typeName: z.string()
+});
+
+const maskedColumnSchema = z.object({
+    column: z.string(),
+    strategy: z.enum(["redact", "hash", "partial"]),
+    reason: z.string().describe("The masking rule, name pattern or value detector that applied")
+});
+
+// Structured result fields shared by the tools that run a query
+const queryMetadataShape = {
+    columns: z.array(columnSchema),
+    rowCount: z.number(),
+    truncated: z.boolean(),
+    executionTimeMs: z.number(),
+    environment: z.string(),
+    maskedColumns: z.array(maskedColumnSchema).optional().describe("Columns whose values were masked by the environment's masking config")
+};
+
+const queryResultShape = {
+    ...queryMetadataShape,
+    rows: z.array(z.record(z.any()))
+};
+
+const cursorResultShape = {
+    ...queryResultShape,
+    cursorId: z.string().optional().describe("Present while more rows are available"),
+    offset: z.number().optional(),
+    hasMore: z.boolean().optional()
+};
+
+// Query metadata is absent when the analysis ran over named queries; see 'datasets' instead
+const analysisResultShape = {
+    ...z.object(queryMetadataShape).partial().shape,
+    datasets: z.record(z.object(queryMetadataShape)).optional().describe("Metadata of each named query (only when 'queries' was given)"),
+    result: z.any().describe("The value returned by the analysis code, or by the last step"),
+    steps: z.array(z.object({
+        name: z.string(),
+        result: z.any()
+    })).optional().describe("The value returned by each step, in order (only when 'steps' was given)")
+};
+
+const datasetQuerySchema = z.union([
+    z.string(),
+    z.object({
+        query: z.string(),
+        environment: z.string().optional().describe("Environment to run this query on (default: the current environment)")
+    })
+]);
+
+const analysisStepSchema = z.object({
+    name: z.string().min(1).describe("Step name; later steps read this step's output as steps[name]"),
+    code: z.string().describe("JavaScript code for this step, with the same scope as 'code' plus 'steps'")
+});
+
+const reportResultShape = {
+    ...queryResultShape,
+    reportType: z.string(),
+    report: z.string()
+};
+
+const exportResultShape = {
+    filePath: z.string(),
+    format: z.enum(EXPORT_FORMATS),
+    rowCount: z.number(),
+    bytes: z.number(),
+    checksum: z.string().describe("sha256:<hex digest> of the written file"),
+    columns: z.array(columnSchema),
+    environment: z.string(),
+    executionTimeMs: z.number(),
+    maskedColumns: z.array(maskedColumnSchema).optional().describe("Columns whose values were masked before being written")
+};
+
+const fileTablesSchema = z.array(z.object({
+    name: z.string().regex(/^[A-Za-z_][A-Za-z0-9_]*$/).describe("View name to use in the query"),
+    path: z.string().describe("File path, absolute or relative to the first allowlisted directory"),
+    format: z.enum(FILE_FORMATS).optional().describe("File format; detected from the extension or contents when omitted"),
+    delimiter: z.string().optional().describe("CSV/TSV field delimiter"),
+    header: z.boolean().optional().describe("Whether the first row holds column names (CSV/TSV/Excel)"),
+    sheet: z.string().optional().describe("Excel sheet name"),
+    encoding: z.enum(["utf-8", "utf-16", "latin-1"]).optional().describe("CSV/TSV text encoding")
+})).optional().describe("Additional files to register as views");
+
+const keyListShape = z.object({
+    count: z.number(),
+    keys: z.array(z.record(z.any())).describe("Key values of the first rows (up to maxDifferences)")
+});
+
+const comparisonResultShape = {
+    left: z.object({ environment: z.string(), rowCount: z.number() }),
+    right: z.object({ environment: z.string(), rowCount: z.number() }),
+    rowCountDelta: z.number().describe("right.rowCount - left.rowCount"),
+    keyColumns: z.array(z.string()),
+    comparedColumns: z.array(z.string()),
+    columnsOnlyInLeft: z.array(z.string()),
+    columnsOnlyInRight: z.array(z.string()),
+    columnTypeDifferences: z.array(z.object({ column: z.string(), left: z.string(), right: z.string() })),
+    chunks: z.object({ total: z.number(), mismatched: z.number(), chunkSize: z.number() }),
+    onlyInLeft: keyListShape,
+    onlyInRight: keyListShape,
+    changed: z.object({
+        count: z.number(),
+        rows: z.array(z.object({
+            key: z.record(z.any()),
+            differences: z.array(z.object({ column: z.string(), left: z.any(), right: z.any() }))
+        })).describe("Column differences of the first changed rows (up to maxDifferences)")
+    }),
+    identical: z.boolean(),
+    truncated: z.boolean().describe("True when mismatched chunks held more rows than could be compared"),
+    durationMs: z.number()
+};
+
+const objectDiffShape = z.object({
+    onlyInLeft: z.array(z.record(z.any())),
+    onlyInRight: z.array(z.record(z.any())),
+    changed: z.array(z.object({
+        left: z.record(z.any()),
+        right: z.record(z.any()),
+        changes: z.array(z.object({ property: z.string(), left: z.any(), right: z.any() }))
+    }))
+});
+
+const schemaDiffResultShape = {
+    left: z.string(),
+    right: z.string(),
+    schemas: z.object({ onlyInLeft: z.array(z.string()), onlyInRight: z.array(z.string()) }),
+    tables: z.object({ onlyInLeft: z.array(z.string()), onlyInRight: z.array(z.string()) }),
+    columns: objectDiffShape,
+    indexes: objectDiffShape,
+    constraints: objectDiffShape,
+    views: objectDiffShape,
+    functions: objectDiffShape,
+    identical: z.boolean(),
+    ddl: z.array(z.string()).optional().describe("Statements that would make the right environment match the left one (never executed)"),
+    durationMs: z.number()
+};
+
+const environmentArgument = z.string().optional()
+    .describe("Environment to run against for this call only (default: the session's current environment, see setEnvironment)");
+
+const formatSchema = z.enum(OUTPUT_FORMATS).optional().default("json")
+    .describe("Output format for the rows: json, ndjson, csv, markdown (table), or arrow (base64 Arrow IPC stream) (default: json)");
+
+const isTabular = (value) => Array.isArray(value) && value.length > 0 &&
+    value.every(item => item !== null && typeof item === 'object' && !Array.isArray(item));
+
+// 90000 -> "1m 30s"
+const formatDuration = (millis) => {
+    const seconds = Math.ceil(millis / 1000);
+    const minutes = Math.floor(seconds / 60);
+    return minutes > 0 ? `${minutes}m${seconds % 60 ? ` ${seconds % 60}s` : ''}` : `${seconds}s`;
+};
+
+const toQueryMetadata = (result) => ({
+    columns: result.columns,
+    rowCount: result.rowCount,
+    truncated: result.truncated,
+    executionTimeMs: result.durationMs,
+    environment: result.environment,
+    ...(result.maskedColumns?.length > 0 ? { maskedColumns: result.maskedColumns } : {})
+});
+
+// Summary line listing masked columns, empty when nothing was masked
+const formatMaskedColumns = (maskedColumns = []) => maskedColumns.length > 0
+    ? `\nMasked columns: ${maskedColumns.map(entry => `${entry.column} (${entry.strategy}, ${entry.reason})`).join(', ')}`
+    : '';
+
+const toQueryResult = (result) => ({
+    ...toQueryMetadata(result),
+    rows: normalizeRows(result.rows, result.columns)
+});
+
+const toCursorResult = (page) => ({
+    columns: page.columns,
+    rows: normalizeRows(page.rows, page.columns),
+    rowCount: page.rows.length,
+    truncated: page.hasMore || page.truncated,
+    executionTimeMs: page.durationMs,
+    environment: page.environment,
+    ...(page.maskedColumns?.length > 0 ? { maskedColumns: page.maskedColumns } : {}),
+    ...(page.hasMore ? { cursorId: page.cursorId } : {}),
+    offset: page.offset,
+    hasMore: page.hasMore
+});
+
+const formatCursorPage = (query, page) => {
+    let text = query ? `Query executed successfully.\n\nQuery: ${query}\n` : '';
+    text += `Environment: ${page.environment}\n`;
+    text += page.rows.length > 0
+        ? `Rows ${page.offset + 1}-${page.offset + page.rows.length} returned (${page.rowsFetched} fetched so far)\n`
+        : `No rows returned\n`;
+    if (page.maskedColumns?.length > 0) {
+        text += `${formatMaskedColumns(page.maskedColumns).trim()}\n`;
+    }
+    if (page.truncated) {
+        text += `Reached the row limit of the ${page.environment} environment. The cursor has been closed.`;
+    } else {
+        text += page.hasMore
+            ? `More rows available. Cursor ID: ${page.cursorId} (use fetchPage to continue, closeCursor when done)`
+            : `No more rows. The cursor has been closed.`;
+    }
+    return text;
+};
+
+const formatFileQuerySummary = (query, result, limit) => {
+    let text = `Query executed successfully.\n\n`;
+    text += `Query: ${query}\n`;
+    if (result.environment !== 'files') {
+        text += `Environment: ${result.environment} (attached as ${DATABASE_ALIAS})\n`;
+    }
+    text += `Files: ${result.views.map(view => `${view.name} (${view.path})`).join(', ') || 'none'}\n`;
+    text += `Rows returned: ${result.rowCount}`;
+    if (result.truncated) {
+        text += ` (truncated: more rows are available beyond the limit of ${limit})`;
+    }
+    text += `\nColumns: ${result.columns.map(column => `${column.name} (${column.typeName})`).join(', ')}`;
+    text += `\nExecution time: ${result.durationMs}ms`;
+    text += formatMaskedColumns(result.maskedColumns);
+    return text;
+};
+
+const formatComparisonSummary = (subject, comparison) => {
+    const { left, right } = comparison;
+    let text = comparison.identical
+        ? `No differences found.\n\n`
+        : `Differences found.\n\n`;
+    text += `Compared: ${subject}\n`;
+    text += `Environments: ${left.environment} (${left.rowCount} rows) vs ${right.environment} (${right.rowCount} rows), delta ${comparison.rowCountDelta >= 0 ? '+' : ''}${comparison.rowCountDelta}\n`;
+    text += `Key columns: ${comparison.keyColumns.join(', ')}\n`;
+    text += `Chunks: ${comparison.chunks.mismatched} of ${comparison.chunks.total} differ\n`;
+    text += `Only in ${left.environment}: ${comparison.onlyInLeft.count} rows\n`;
+    text += `Only in ${right.environment}: ${comparison.onlyInRight.count} rows\n`;
+    text += `Changed: ${comparison.changed.count} rows`;
+    if (comparison.columnsOnlyInLeft.length > 0) {
+        text += `\nColumns only in ${left.environment}: ${comparison.columnsOnlyInLeft.join(', ')}`;
+    }
+    if (comparison.columnsOnlyInRight.length > 0) {
+        text += `\nColumns only in ${right.environment}: ${comparison.columnsOnlyInRight.join(', ')}`;
+    }
+    if (comparison.columnTypeDifferences.length > 0) {
+        text += `\nColumn type differences: ${comparison.columnTypeDifferences.map(entry => `${entry.column} (${entry.left} vs ${entry.right})`).join(', ')}`;
+    }
+    if (comparison.truncated) {
+        text += `\nNote: the differing chunks held too many rows to compare completely; counts are lower bounds. Use a larger chunkSize or a narrower query.`;
+    }
+    text += `\nExecution time: ${comparison.durationMs}ms`;
+    return text;
+};
+
+// One line per schema difference, e.g. "~ column public.users.email: type varchar(100) -> text"
+const formatSchemaDiffSummary = (diff) => {
+    const { left, right } = diff;
+    const lines = [
+        diff.identical ? `Schemas are identical.` : `Schemas differ.`,
+        ``,
+        `Environments: ${left} (left) vs ${right} (right)`
+    ];
+    const describe = {
+        columns: item => `${item.schema}.${item.table}.${item.column}`,
+        indexes: item => `${item.schema}.${item.name} on ${item.table}`,
+        constraints: item => `${item.schema}.${item.table}.${item.name}`,
+        views: item => `${item.schema}.${item.name}`,
+        functions: item => `${item.schema}.${item.name}(${item.arguments})`
+    };
+    for (const kind of ['schemas', 'tables']) {
+        for (const name of diff[kind].onlyInLeft) {
+            lines.push(`- ${kind.slice(0, -1)} ${name}: only in ${left}`);
+        }
+        for (const name of diff[kind].onlyInRight) {
+            lines.push(`+ ${kind.slice(0, -1)} ${name}: only in ${right}`);
+        }
+    }
+    for (const [kind, label] of Object.entries(describe)) {
+        const singular = kind === 'indexes' ? 'index' : kind.slice(0, -1);
+        for (const item of diff[kind].onlyInLeft) {
+            lines.push(`- ${singular} ${label(item)}: only in ${left}`);
+        }
+        for (const item of diff[kind].onlyInRight) {
+            lines.push(`+ ${singular} ${label(item)}: only in ${right}`);
+        }
+        for (const entry of diff[kind].changed) {
+            const changes = entry.changes.map(change => change.property === 'definition'
+                ? 'definition differs'
+                : `${change.property} ${change.left} -> ${change.right}`);
+            lines.push(`~ ${singular} ${label(entry.left)}: ${changes.join(', ')}`);
+        }
+    }
+    lines.push(`Execution time: ${diff.durationMs}ms`);
+    return lines.join('\n');
+};
+
+// Read-only tools whose audited calls replayQuery can run again
+const REPLAYABLE_TOOLS = ["query", "queryFiles", "federatedQuery", "analyze", "exportQuery", "dataReport"];
+
+const auditEntrySchema = z.object({
+    id: z.string(),
+    timestamp: z.string(),
+    sessionId: z.string().nullable(),
+    client: z.object({ name: z.string(), version: z.string() }).nullable(),
+    principal: z.string().nullable().optional().describe("Name of the HTTP auth token used for the call"),
+    tool: z.string(),
+    environment: z.string().nullable(),
+    sql: z.string().nullable(),
+    normalizedSql: z.string().nullable().describe("The SQL with constants replaced by $n placeholders"),
+    parameters: z.record(z.any()),
+    rowCount: z.number().nullable(),
+    durationMs: z.number(),
+    maskedColumns: z.array(maskedColumnSchema),
+    outcome: z.enum(["success", "error"]),
+    error: z.string().nullable()
+});
+
+// Timestamps for the audit search filters, e.g. "2024-06-01", "2024-06-01T12:00:00+02:00" or "2024-06-01T10:00:00.000Z"
+const timestampSchema = z.string().refine(value => !Number.isNaN(Date.parse(value)), { message: "Expected an ISO-8601 timestamp or date" });
+
+const auditSearchResultShape = {
+    entries: z.array(auditEntrySchema).describe("Matching audit entries, newest first"),
+    count: z.number()
+};
+
+const formatAuditEntry = (entry) => {
+    let text = `${entry.timestamp} ${entry.tool} [${entry.outcome}] id=${entry.id}`;
+    if (entry.environment) {
+        text += ` env=${entry.environment}`;
+    }
+    if (entry.principal) {
+        text += ` token=${entry.principal}`;
+    }
+    if (entry.rowCount !== null) {
+        text += ` rows=${entry.rowCount}`;
+    }
+    text += ` ${entry.durationMs}ms`;
+    if (entry.sql) {
+        text += `\n  SQL: ${entry.sql}`;
+    }
+    if (entry.error) {
+        text += `\n  Error: ${entry.error}`;
+    }
+    return text;
+};
+
+// The restrictions of an environment policy, empty when it has none
+const describePolicy = (policy) => [
+    policy.maxRows && `at most ${policy.maxRows} rows`,
+    policy.maxPlanCost && `plan cost at most ${policy.maxPlanCost}`,
+    policy.deniedTables.length > 0 && `denied tables: ${policy.deniedTables.join(', ')}`,
+    policy.deniedColumns.length > 0 && `denied columns: ${policy.deniedColumns.join(', ')}`,
+    policy.requiresConfirmation && `queries require confirmation`
+].filter(Boolean);
+
+/**
+ * State shared by every MCP server instance in the process. The HTTP transport creates a server per
+ * session; they all use one context so session environments, masking salts and exports stay consistent.
+ */
+export const createToolContext = (database, config) => {
+    const masker = new DataMasker(database);
+    const sessions = new EnvironmentSessions(database, config.sessions);
+    return {
+        exporter: new QueryExporter(database, config.exports),
+        fileQuery: new FileQueryEngine(config.files),
+        masker,
+        comparer: new EnvironmentComparer(database, masker),
+        schemaDiffer: new SchemaDiffer(database),
+        sessions
+    };
+};
+
+export const registerTools = (server, database, config, auditLog, context = createToolContext(database, config)) => {
     const logger = createChildLogger('Tools');
+    const { exporter, fileQuery, masker, comparer, schemaDiffer, sessions } = context;
+    const policies = new QueryPolicy(database, server.server);
+    // Every tool call is recorded in the audit log once it finishes
+    const audited = (tool, handler) => auditLog.wrap(tool, handler, server.server);
+    // Direct file readers and PostgreSQL functions are denied so access always goes through
+    // the allowlisted views and the read-only attached database
+    const fileSqlGuard = {
+        ...config.sqlGuard,
+        deniedFunctions: [...config.sqlGuard.deniedFunctions, ...DUCKDB_DENIED_FUNCTIONS]
+    };
     logger.info('Registering tools with server');
     server.registerTool("getEnvironment",
         {
             title: "Get Current Environment",
-            description: `Get the current database environment. Returns the name of the currently active environment.`,
+            description: `Get the current database environment of this session. Returns the name and description of the active environment, and how long until it reverts to the default.`,
             inputSchema: {}
         },
-        async () => {
+        audited("getEnvironment", async (args, { sessionId }) => {
             try {
-                logger.info('getEnvironment tool called');
+                logger.info('getEnvironment tool called', { sessionId });
+                const environment = database.getEnvironment(sessions.current(sessionId));
+                let resultText = `Current environment: ${environment.name}`;
+                if (environment.description) {
+                    resultText += `\nDescription: ${environment.description}`;
+                }
+                resultText += `\nRead-only: ${environment.readOnly ? 'yes' : 'no'}`;
+                const restrictions = describePolicy(environment.policy);
+                if (restrictions.length > 0) {
+                    resultText += `\nPolicy: ${restrictions.join('; ')}`;
+                }
+                const remainingMillis = sessions.remainingMillis(sessionId);
+                if (remainingMillis !== null) {
+                    resultText += `\nResets to '${sessions.defaultFor(sessionId)}' in ${formatDuration(remainingMillis)}`;
+                } else if (environment.name !== sessions.defaultFor(sessionId)) {
+                    resultText += `\nStays selected until changed with setEnvironment`;
+                }
+                resultText += `\nAvailable environments: ${sessions.allowed(sessionId)?.join(', ') ?? Object.keys(database.environments).join(', ')}`;
                 const result = {
                     content: [
                         {
                             type: "text",
-                            text: `Current environment: ${database.currentPool}`
+                            text: resultText
                         }
                     ]
                 };
-                logger.info('getEnvironment tool completed successfully', { environment: database.currentPool });
+                logger.info('getEnvironment tool completed successfully', { environment: environment.name, remainingMillis });
                 return result;
             } catch (error) {
                 logger.error('getEnvironment tool failed', { error: error.message });
@@ -84,38 +464,109 @@ export const registerTools = (server, database) => {
                     ]
                 };
             }
-        }
+        })
+    );
+
+    server.registerTool("listEnvironments",
+        {
+            title: "List Environments",
+            description: `List every database environment configured in the environment registry.
+Returns each environment's name, description, read-only flag, pool sizing and, unless disabled, a connectivity health check.`,
+            inputSchema: {
+                includeHealth: z.boolean().optional().default(true).describe("Run a health check against each environment (default: true)")
+            }
+        },
+        audited("listEnvironments", async ({ includeHealth = true }, { sessionId }) => {
+            try {
+                logger.info('listEnvironments tool called', { includeHealth });
+                const environments = database.listEnvironments(sessions.current(sessionId))
+                    .filter(environment => sessions.permits(sessionId, environment.name));
+
+                if (includeHealth) {
+                    const healthResults = await Promise.all(
+                        environments.map(environment => database.healthCheck(environment.name))
+                    );
+                    environments.forEach((environment, index) => {
+                        environment.health = healthResults[index];
+                    });
+                }
+
+                let resultText = `Configured environments (${environments.length}):\n`;
+                for (const environment of environments) {
+                    resultText += `\n- ${environment.name}${environment.active ? ' (active)' : ''}${environment.isDefault ? ' [default]' : ''}`;
+                    if (environment.description) {
+                        resultText += `: ${environment.description}`;
+                    }
+                    const restrictions = describePolicy(environment.policy);
+                    if (restrictions.length > 0) {
+                        resultText += `\n  Policy: ${restrictions.join('; ')}`;
+                    }
+                    if (environment.health) {
+                        resultText += `\n  Status: ${environment.health.healthy ? '✅ Healthy' : `❌ Unhealthy (${environment.health.error})`}`;
+                    }
+                }
+                resultText += `\n\nDetails:\n${JSON.stringify(environments, null, 2)}`;
+
+                logger.info('listEnvironments tool completed successfully', { count: environments.length });
+                return {
+                    content: [
+                        {
+                            type: "text",
+                            text: resultText
+                        }
+                    ]
+                };
+            } catch (error) {
+                logger.error('listEnvironments tool failed', { error: error.message });
+                return {
+                    content: [
+                        {
+                            type: "text",
+                            text: `Error listing environments: ${error.message}`
+                        }
+                    ]
+                };
+            }
+        })
     );
 
     server.registerTool("setEnvironment",
         {
             title: "Set Environment",
             description: `Set the environment for the database, we support multiple environments for the same database. 
-The default environment is 'default'. 
-The dev environment is for development and the prod environment is for production. 
-You can use this tool to switch between environments.
-
-Note: The environment will be reset to 'default' after 10 minutes to prevent accidental changes.
+Environments are defined in the environment registry (see listEnvironments). 
+The default environment is '${database.defaultEnvironment}'. Available environments: ${Object.keys(database.environments).join(', ')}. 
+You can use this tool to switch between environments. The selection only applies to this session; 
+every data tool also accepts an 'environment' argument to target a different environment for a single call.
+
+Note: ${config.sessions.environmentResetMillis > 0
+        ? `The environment will be reset to '${database.defaultEnvironment}' ${formatDuration(config.sessions.environmentResetMillis)} after the last setEnvironment call to prevent accidental changes.`
+        : `The environment stays selected until it is changed again.`}
 `,
             inputSchema: {
-                environment: z.string().describe("The environment to set the database to. Example: 'default', 'dev', 'prod'")
+                environment: z.string().describe(`The environment to set the database to. One of: ${Object.keys(database.environments).join(', ')}`)
             }
         },
-        async ({ environment }) => {
+        audited("setEnvironment", async ({ environment }, { sessionId }) => {
             try {
-                logger.info('setEnvironment tool called', { environment });
-                await database.setEnvironment(environment);
-                setTimeout(() => {
-                    database.setEnvironment("default").catch(error => {
-                        logger.error("Error resetting environment to default", { error: error.message });
-                    });
-                }, 1000 * 60 * 30);
-                logger.info('setEnvironment tool completed successfully', { environment });
+                logger.info('setEnvironment tool called', { environment, sessionId });
+                sessions.select(sessionId, environment);
+                const health = await database.healthCheck(environment);
+
+                let resultText = `Environment set to ${environment}`;
+                const remainingMillis = sessions.remainingMillis(sessionId);
+                if (remainingMillis !== null) {
+                    resultText += ` (resets to '${sessions.defaultFor(sessionId)}' in ${formatDuration(remainingMillis)})`;
+                }
+                if (!health.healthy) {
+                    resultText += `\nWarning: health check failed: ${health.error}`;
+                }
+                logger.info('setEnvironment tool completed successfully', { environment, healthy: health.healthy });
                 return {
                     content: [
                         {
                             type: "text",
-                            text: `Environment set to ${environment}`
+                            text: resultText
                         }
                     ]
                 };
@@ -130,7 +581,7 @@ Note: The environment will be reset to 'default' after 10 minutes to prevent acc
                     ]
                 };
             }
-        }
+        })
     );
 
     server.registerTool("query",
@@ -138,178 +589,755 @@ Note: The environment will be reset to 'default' after 10 minutes to prevent acc
             title: "PostgreSQL Query",
             description: `Execute read-only PostgreSQL queries and return results as structured JSON. 
 Supports SELECT, WITH, and EXPLAIN statements only for security. 
-ALL QUERIES MUST INCLUDE A LIMIT CLAUSE for safety. 
-Results are limited to 100 rows by default to prevent memory issues.
+Queries run inside a READ ONLY transaction with a statement timeout, and the server caps the number of rows fetched, 
+so no LIMIT clause is needed. Results are limited to 100 rows by default to prevent memory issues; 
+the result reports when it was truncated.
+
+For large result sets, set 'cursor' to true: the query is held open in a server-side cursor, 
+the first page of 'limit' rows is returned together with a cursorId, and further pages are read with fetchPage. 
+Close cursors you no longer need with closeCursor; idle cursors expire automatically.
+
+Use 'format' to choose how rows are serialized: json (default), ndjson, csv, markdown (table), 
+or arrow (base64 Arrow IPC stream, returned as an embedded resource).
 
 Required parameters:
-- query: The SQL query to execute (SELECT statements only, MUST include LIMIT clause)
+- query: The SQL query to execute (SELECT statements only)
 
-Example: {"query": "SELECT * FROM users WHERE active = true LIMIT 10"}`,
+Example: {"query": "SELECT * FROM users WHERE active = true", "limit": 10}`,
             inputSchema: {
-                query: z.string().describe("The SQL query to execute (SELECT statements only). MUST include LIMIT clause. Example: 'SELECT * FROM users WHERE active = true LIMIT 10'"),
-                limit: z.number().optional().describe("Maximum number of rows to return (default: 100, max: 5000)")
-            }
+                query: z.string().describe("The SQL query to execute (SELECT statements only). Example: 'SELECT * FROM users WHERE active = true'"),
+                limit: z.number().optional().describe("Maximum number of rows to return, or the page size in cursor mode (default: 100, max: 5000)"),
+                cursor: z.boolean().optional().default(false).describe("Open a server-side cursor and return a cursorId for fetching further pages with fetchPage (default: false)"),
+                format: formatSchema,
+                environment: environmentArgument
+            },
+            outputSchema: cursorResultShape
         },
-        async ({ query, limit = 100 }) => {
+        audited("query", async ({ query, limit = 100, cursor = false, format = "json", environment }, { sessionId }) => {
             try {
-                logger.info('query tool called', { query, limit });
+                logger.info('query tool called', { query, limit, cursor, format, environment });
                 
                 if (!query) {
-                    const error = "Query parameter is required. Please provide a SQL query with LIMIT clause. Example: 'SELECT * FROM users LIMIT 10'";
+                    const error = "Query parameter is required. Please provide a SQL query. Example: 'SELECT * FROM users'";
                     logger.error('query tool validation failed', { error });
                     throw new Error(error);
                 }
 
-                if (!isReadOnlyQuery(query)) {
-                    const error = "Only SELECT, WITH, and EXPLAIN queries are allowed for security reasons";
+                const validation = await validateReadOnlyQuery(query, config.sqlGuard);
+                if (!validation.valid) {
+                    const error = `Query rejected for security reasons: ${validation.reason}`;
                     logger.error('query tool security check failed', { query, error });
                     throw new Error(error);
                 }
 
-                if (!hasLimitClause(query)) {
-                    const error = "All queries must include a LIMIT clause for safety reasons";
-                    logger.error('query tool limit check failed', { query, error });
-                    throw new Error(error);
-                }
-
                 if (limit > 5000) {
                     const error = "Limit cannot exceed 5000 rows for performance reasons";
                     logger.error('query tool limit validation failed', { limit, error });
                     throw new Error(error);
                 }
 
-                const client = await database.pools[database.currentPool].connect();
-                try {
-                    const result = await client.query(query);
-
-                    // Handle no results
-                    if (!result || !result.rows) {
-                        logger.warn('query tool returned no data structure', { query });
-                        return {
-                            content: [
-                                {
-                                    type: "text",
-                                    text: "Query executed successfully but returned no data structure."
-                                }
-                            ]
-                        };
-                    }
-
-                    // Handle empty results
-                    if (result.rows.length === 0) {
-                        logger.info('query tool returned no rows', { query });
-                        return {
-                            content: [
-                                {
-                                    type: "text",
-                                    text: `Query executed successfully but returned no rows.\n\nQuery: ${query}\n\nThis usually means:\n- No data matches your WHERE conditions\n- The table is empty\n- The LIMIT clause is too restrictive`
-                                }
-                            ]
-                        };
-                    }
-
-                    // Limit results for safety
-                    const rows = result.rows.slice(0, limit);
-                    const totalRows = result.rows.length;
-                    const displayedRows = rows.length;
+                const target = sessions.resolve(environment, sessionId);
+                if (cursor && validation.statementType === 'EXPLAIN') {
+                    const error = "Cursor mode is only available for SELECT queries";
+                    logger.error('query tool cursor validation failed', { query, error });
+                    throw new Error(error);
+                }
 
-                    logger.info('query tool completed successfully', { 
+                await policies.check(validation.statement, { environment: target, statementType: validation.statementType });
+                limit = policies.limit(target, limit);
+
+                if (cursor) {
+                    const page = await masker.apply(await database.cursors.open(query, {
+                        pageSize: limit,
+                        environment: target,
+                        maxRows: policies.get(target).maxRows,
+                        sessionId
+                    }), { query });
+                    logger.info('query tool opened cursor', { 
                         query, 
-                        totalRows, 
-                        displayedRows, 
-                        limit 
+                        cursorId: page.cursorId, 
+                        rowCount: page.rows.length, 
+                        hasMore: page.hasMore 
                     });
+                    return {
+                        content: [
+                            {
+                                type: "text",
+                                text: formatCursorPage(query, page)
+                            },
+                            toFormattedContent(format, page.columns, page.rows)
+                        ],
+                        structuredContent: toCursorResult(page)
+                    };
+                }
 
-                    let resultText = `Query executed successfully.\n\n`;
-                    resultText += `Query: ${query}\n`;
-                    resultText += `Total rows found: ${totalRows}\n`;
-                    resultText += `Rows displayed: ${displayedRows}`;
-                    
-                    if (totalRows > displayedRows) {
-                        resultText += ` (limited by max ${limit} rows)`;
-                    }
-                    
-                    resultText += `\n\nResults:\n${JSON.stringify(rows, null, 2)}`;
+                const result = await masker.apply(
+                    await database.readQuery(query, { limit, statementType: validation.statementType, environment: target }),
+                    { query }
+                );
 
+                // Handle empty results
+                if (result.rows.length === 0) {
+                    logger.info('query tool returned no rows', { query });
                     return {
                         content: [
                             {
                                 type: "text",
-                                text: resultText
+                                text: `Query executed successfully but returned no rows.\n\nQuery: ${query}\n\nThis usually means:\n- No data matches your WHERE conditions\n- The table is empty`
                             }
-                        ]
+                        ],
+                        structuredContent: toQueryResult(result)
                     };
-                } finally {
-                    client.release();
                 }
-            } catch (error) {
-                logger.error('query tool failed', { 
-                    query, 
-                    limit, 
-                    error: error.message,
-                    errorCode: error.code,
-                    stack: error.stack 
-                });
-                
-                let errorMessage = `Error executing query: ${error.message}`;
-                
-                // Provide more specific error messages for common database errors
-                if (error.code) {
-                    switch (error.code) {
-                        case '42P01': // undefined_table
-                            errorMessage = `Table not found: ${error.message}\n\nThis usually means:\n- The table name is misspelled\n- The table doesn't exist in the current schema\n- You need to specify the schema name (e.g., 'public.table_name')`;
-                            break;
-                        case '42703': // undefined_column
-                            errorMessage = `Column not found: ${error.message}\n\nThis usually means:\n- The column name is misspelled\n- The column doesn't exist in the table\n- You need to check the table structure`;
-                            break;
-                        case '42601': // syntax_error
-                            errorMessage = `SQL syntax error: ${error.message}\n\nPlease check:\n- SQL syntax is correct\n- All parentheses are properly closed\n- Keywords are spelled correctly`;
-                            break;
-                        case '23505': // unique_violation
-                            errorMessage = `Unique constraint violation: ${error.message}`;
-                            break;
-                        case '23503': // foreign_key_violation
-                            errorMessage = `Foreign key constraint violation: ${error.message}`;
-                            break;
-                        case '28P01': // invalid_password
-                        case '28000': // invalid_authorization_specification
-                            errorMessage = `Authentication error: ${error.message}\n\nPlease check your database connection credentials.`;
-                            break;
-                        case '3D000': // invalid_catalog_name
-                            errorMessage = `Database not found: ${error.message}\n\nPlease check the database name in your connection string.`;
-                            break;
-                        case '42P07': // duplicate_table
-                            errorMessage = `Table already exists: ${error.message}`;
-                            break;
-                        default:
-                            errorMessage = `Database error (${error.code}): ${error.message}`;
+
+                logger.info('query tool completed successfully', { 
+                    query, 
+                    rowCount: result.rowCount, 
+                    truncated: result.truncated, 
+                    limit 
+                });
+
+                let resultText = `Query executed successfully.\n\n`;
+                resultText += `Query: ${query}\n`;
+                resultText += `Environment: ${result.environment}\n`;
+                resultText += `Rows returned: ${result.rowCount}`;
+                
+                if (result.truncated) {
+                    resultText += ` (truncated: more rows are available beyond the limit of ${limit})`;
+                }
+                
+                resultText += `\nColumns: ${result.columns.map(column => `${column.name} (${column.typeName})`).join(', ')}`;
+                resultText += `\nExecution time: ${result.durationMs}ms`;
+                resultText += formatMaskedColumns(result.maskedColumns);
+
+                return {
+                    content: [
+                        {
+                            type: "text",
+                            text: resultText
+                        },
+                        toFormattedContent(format, result.columns, result.rows)
+                    ],
+                    structuredContent: toQueryResult(result)
+                };
+            } catch (error) {
+                logger.error('query tool failed', { 
+                    query, 
+                    limit, 
+                    error: error.message,
+                    errorCode: error.code,
+                    stack: error.stack 
+                });
+                
+                let errorMessage = `Error executing query: ${error.message}`;
+                
+                // Provide more specific error messages for common database errors
+                if (error.code) {
+                    switch (error.code) {
+                        case '42P01': // undefined_table
+                            errorMessage = `Table not found: ${error.message}\n\nThis usually means:\n- The table name is misspelled\n- The table doesn't exist in the current schema\n- You need to specify the schema name (e.g., 'public.table_name')`;
+                            break;
+                        case '42703': // undefined_column
+                            errorMessage = `Column not found: ${error.message}\n\nThis usually means:\n- The column name is misspelled\n- The column doesn't exist in the table\n- You need to check the table structure`;
+                            break;
+                        case '57014': // query_canceled (statement_timeout)
+                            errorMessage = `Query timed out: ${error.message}\n\nThe query exceeded the statement timeout configured for this environment. Try:\n- Adding more selective WHERE conditions\n- Using indexed columns in filters and joins\n- Aggregating on the server instead of fetching raw rows`;
+                            break;
+                        case '42601': // syntax_error
+                            errorMessage = `SQL syntax error: ${error.message}\n\nPlease check:\n- SQL syntax is correct\n- All parentheses are properly closed\n- Keywords are spelled correctly`;
+                            break;
+                        case '23505': // unique_violation
+                            errorMessage = `Unique constraint violation: ${error.message}`;
+                            break;
+                        case '23503': // foreign_key_violation
+                            errorMessage = `Foreign key constraint violation: ${error.message}`;
+                            break;
+                        case '28P01': // invalid_password
+                        case '28000': // invalid_authorization_specification
+                            errorMessage = `Authentication error: ${error.message}\n\nPlease check your database connection credentials.`;
+                            break;
+                        case '3D000': // invalid_catalog_name
+                            errorMessage = `Database not found: ${error.message}\n\nPlease check the database name in your connection string.`;
+                            break;
+                        case '42P07': // duplicate_table
+                            errorMessage = `Table already exists: ${error.message}`;
+                            break;
+                        default:
+                            errorMessage = `Database error (${error.code}): ${error.message}`;
+                    }
+                }
+                
+                // Add query context to the error
+                errorMessage += `\n\nQuery: ${query}\n\n ${error.stack}`;
+                
+                return {
+                    content: [
+                        {
+                            type: "text",
+                            text: errorMessage,
+                        }
+                    ],
+                    isError: true
+                };
+            }
+        })
+    );
+
+    server.registerTool("fetchPage",
+        {
+            title: "Fetch Cursor Page",
+            description: `Fetch the next page of rows from a cursor opened by the query tool with cursor: true. 
+Returns the rows and whether more rows are available (hasMore). The cursor is closed automatically once the last page has been read.
+
+Example: {"cursorId": "3f2b...", "pageSize": 500}`,
+            inputSchema: {
+                cursorId: z.string().describe("The cursorId returned by the query tool"),
+                pageSize: z.number().optional().describe("Number of rows to fetch (default: 100, max: 5000)"),
+                format: formatSchema
+            },
+            outputSchema: cursorResultShape
+        },
+        audited("fetchPage", async ({ cursorId, pageSize = 100, format = "json" }, { sessionId = DEFAULT_SESSION }) => {
+            try {
+                logger.info('fetchPage tool called', { cursorId, pageSize, format });
+
+                if (pageSize > 5000) {
+                    const error = "Page size cannot exceed 5000 rows for performance reasons";
+                    logger.error('fetchPage tool page size validation failed', { pageSize, error });
+                    throw new Error(error);
+                }
+
+                // The session may have lost access to the cursor's environment since opening it
+                sessions.resolve(database.cursors.owned(cursorId, sessionId).environment, sessionId);
+                const fetched = await database.cursors.fetchPage(cursorId, pageSize, sessionId);
+                const page = await masker.apply(fetched, { query: fetched.query });
+                logger.info('fetchPage tool completed successfully', { 
+                    cursorId, 
+                    rowCount: page.rows.length, 
+                    hasMore: page.hasMore 
+                });
+                return {
+                    content: [
+                        {
+                            type: "text",
+                            text: formatCursorPage(null, page)
+                        },
+                        toFormattedContent(format, page.columns, page.rows)
+                    ],
+                    structuredContent: toCursorResult(page)
+                };
+            } catch (error) {
+                logger.error('fetchPage tool failed', { cursorId, pageSize, error: error.message });
+                return {
+                    content: [
+                        {
+                            type: "text",
+                            text: `Error fetching page: ${error.message}`
+                        }
+                    ],
+                    isError: true
+                };
+            }
+        })
+    );
+
+    server.registerTool("closeCursor",
+        {
+            title: "Close Cursor",
+            description: `Close a cursor opened by the query tool and release its database connection. 
+Use this when you do not need the remaining pages.`,
+            inputSchema: {
+                cursorId: z.string().describe("The cursorId returned by the query tool")
+            }
+        },
+        audited("closeCursor", async ({ cursorId }, { sessionId = DEFAULT_SESSION }) => {
+            try {
+                logger.info('closeCursor tool called', { cursorId });
+                const closed = await database.cursors.close(cursorId, { sessionId });
+                logger.info('closeCursor tool completed successfully', { cursorId, closed });
+                return {
+                    content: [
+                        {
+                            type: "text",
+                            text: closed
+                                ? `Cursor ${cursorId} closed`
+                                : `Cursor ${cursorId} was not open (it may already be exhausted, closed, or expired)`
+                        }
+                    ]
+                };
+            } catch (error) {
+                logger.error('closeCursor tool failed', { cursorId, error: error.message });
+                return {
+                    content: [
+                        {
+                            type: "text",
+                            text: `Error closing cursor: ${error.message}`
+                        }
+                    ]
+                };
+            }
+        })
+    );
+
+    server.registerTool("exportQuery",
+        {
+            title: "Export Query Results",
+            description: `Export the full result of a read-only query to a file on disk instead of returning rows to the conversation. 
+Rows are streamed from a server-side cursor, so exports are not limited by the query tool's row cap. 
+Files are written to the configured export directory (${config.exports.directory}) and existing files are never overwritten. 
+Exports larger than ${config.exports.maxRows} rows or ${config.exports.maxBytes} bytes are aborted and the partial file is removed. 
+Progress notifications are sent while rows are written when the request carries a progress token.
+
+Supported formats: csv (default), ndjson, parquet.
+
+Returns the file path, row count, size, and a sha256 checksum of the file.
+
+Example: {"query": "SELECT * FROM orders WHERE created_at >= '2024-01-01'", "format": "parquet", "fileName": "orders-2024"}`,
+            inputSchema: {
+                query: z.string().describe("The SQL query to export (SELECT statements only)"),
+                format: z.enum(EXPORT_FORMATS).optional().default("csv").describe("File format: csv, ndjson, or parquet (default: csv)"),
+                fileName: z.string().optional().describe("File name inside the export directory; the extension is added when missing (default: a timestamped name)"),
+                environment: environmentArgument
+            },
+            outputSchema: exportResultShape
+        },
+        audited("exportQuery", async ({ query, format = "csv", fileName, environment }, extra) => {
+            try {
+                logger.info('exportQuery tool called', { query, format, fileName, environment });
+
+                const validation = await validateReadOnlyQuery(query, config.sqlGuard);
+                if (!validation.valid) {
+                    const error = `Query rejected for security reasons: ${validation.reason}`;
+                    logger.error('exportQuery tool security check failed', { query, error });
+                    throw new Error(error);
+                }
+                if (validation.statementType === 'EXPLAIN') {
+                    const error = "Only SELECT queries can be exported";
+                    logger.error('exportQuery tool validation failed', { query, error });
+                    throw new Error(error);
+                }
+
+                const progressToken = extra?._meta?.progressToken;
+                const onProgress = progressToken === undefined ? undefined : ({ rowCount, bytes }) => extra.sendNotification({
+                    method: "notifications/progress",
+                    params: {
+                        progressToken,
+                        progress: rowCount,
+                        message: `${rowCount} rows (${bytes} bytes) written`
+                    }
+                });
+
+                const target = sessions.resolve(environment, extra.sessionId);
+                await policies.check(validation.statement, { environment: target });
+                const result = await exporter.export(query, {
+                    format,
+                    fileName,
+                    onProgress,
+                    environment: target,
+                    maxRows: policies.get(target).maxRows,
+                    mask: masker.enabled(target) ? (batch) => masker.apply(batch, { environment: target, query }) : undefined
+                });
+                logger.info('exportQuery tool completed successfully', {
+                    filePath: result.filePath,
+                    rowCount: result.rowCount,
+                    bytes: result.bytes
+                });
+
+                let resultText = `Export completed successfully.\n\n`;
+                resultText += `Query: ${query}\n`;
+                resultText += `Environment: ${result.environment}\n`;
+                resultText += `File: ${result.filePath}\n`;
+                resultText += `Format: ${result.format}\n`;
+                resultText += `Rows: ${result.rowCount}\n`;
+                resultText += `Size: ${result.bytes} bytes\n`;
+                resultText += `Checksum: ${result.checksum}\n`;
+                resultText += `Execution time: ${result.durationMs}ms`;
+                resultText += formatMaskedColumns(result.maskedColumns);
+
+                const { durationMs, maskedColumns, ...metadata } = result;
+                return {
+                    content: [
+                        {
+                            type: "text",
+                            text: resultText
+                        }
+                    ],
+                    structuredContent: {
+                        ...metadata,
+                        executionTimeMs: durationMs,
+                        ...(maskedColumns.length > 0 ? { maskedColumns } : {})
+                    }
+                };
+            } catch (error) {
+                logger.error('exportQuery tool failed', { query, format, fileName, error: error.message });
+                return {
+                    content: [
+                        {
+                            type: "text",
+                            text: `Error exporting query: ${error.message}\n\nQuery: ${query}`
+                        }
+                    ],
+                    isError: true
+                };
+            }
+        })
+    );
+
+    server.registerTool("queryFiles",
+        {
+            title: "Query Local Files",
+            description: `Run read-only SQL with embedded DuckDB over CSV, TSV, JSON/NDJSON, Parquet and Excel files in the allowlisted directories 
+(${config.files.allowedDirectories.length > 0 ? config.files.allowedDirectories.join(', ') : 'none configured'}).
+
+Every supported file at the top level of an allowlisted directory is available as a view named after the file: 
+users.csv becomes 'users', 2024-orders.parquet becomes '_2024_orders'. Use 'tables' to register other files 
+(including files in subdirectories) under a name of your choice, with per-file reading options.
+
+Queries are validated like the query tool (SELECT, WITH and EXPLAIN only) and limited to 'limit' rows. 
+File reader functions such as read_csv are not available; query the views instead. 
+DuckDB-only syntax that PostgreSQL does not accept is rejected. 
+Results are masked with the masking config of the session's current environment.
+
+Example: {"query": "SELECT u.id, c.campaign FROM users u JOIN campaigns c ON c.user_id = u.id"}`,
+            inputSchema: {
+                query: z.string().describe("The SQL query to execute (SELECT statements only)"),
+                tables: fileTablesSchema,
+                limit: z.number().optional().describe("Maximum number of rows to return (default: 100, max: 5000)"),
+                format: formatSchema
+            },
+            outputSchema: queryResultShape
+        },
+        audited("queryFiles", async ({ query, tables = [], limit = 100, format = "json" }, { sessionId }) => {
+            try {
+                logger.info('queryFiles tool called', { query, tables, limit, format });
+
+                const validation = await validateReadOnlyQuery(query, fileSqlGuard);
+                if (!validation.valid) {
+                    const error = `Query rejected for security reasons: ${validation.reason}`;
+                    logger.error('queryFiles tool security check failed', { query, error });
+                    throw new Error(error);
+                }
+
+                if (limit > 5000) {
+                    const error = "Limit cannot exceed 5000 rows for performance reasons";
+                    logger.error('queryFiles tool limit validation failed', { limit, error });
+                    throw new Error(error);
+                }
+
+                // Files carry no environment of their own; they are masked like the data the session works with
+                const result = await masker.apply(
+                    await fileQuery.query(validation.statement, { limit, statementType: validation.statementType, tables }),
+                    { environment: sessions.current(sessionId), query: validation.statement }
+                );
+                logger.info('queryFiles tool completed successfully', {
+                    query,
+                    rowCount: result.rowCount,
+                    truncated: result.truncated
+                });
+
+                return {
+                    content: [
+                        {
+                            type: "text",
+                            text: formatFileQuerySummary(query, result, limit)
+                        },
+                        toFormattedContent(format, result.columns, result.rows)
+                    ],
+                    structuredContent: toQueryResult(result)
+                };
+            } catch (error) {
+                logger.error('queryFiles tool failed', { query, error: error.message });
+
+                let errorMessage = `Error querying files: ${error.message}`;
+                if (/Catalog Error/.test(error.message)) {
+                    const available = fileQuery.allowedDirectories.length > 0
+                        ? fileQuery.listFiles().map(file => file.name).join(', ')
+                        : '';
+                    errorMessage += `\n\nAvailable file views: ${available || 'none'}`;
+                }
+                errorMessage += `\n\nQuery: ${query}`;
+
+                return {
+                    content: [
+                        {
+                            type: "text",
+                            text: errorMessage
+                        }
+                    ],
+                    isError: true
+                };
+            }
+        })
+    );
+
+    server.registerTool("federatedQuery",
+        {
+            title: "Federated Query (PostgreSQL + Local Files)",
+            description: `Join the current PostgreSQL environment with local files in a single read-only SQL statement, using embedded DuckDB.
+
+The current environment (or the one named by 'environment') is attached read-only as the '${DATABASE_ALIAS}' catalog: reference its tables as ${DATABASE_ALIAS}.table or ${DATABASE_ALIAS}.schema.table. 
+Files in the allowlisted directories are available as views exactly as in queryFiles, and 'tables' registers additional files.
+DuckDB pushes filters and column selection down to PostgreSQL, whose session is read-only and bounded by the environment's statement timeout.
+
+Queries are validated like the query tool (SELECT, WITH and EXPLAIN only) and limited to 'limit' rows.
+
+Example: {"query": "SELECT u.id, u.email, c.campaign_id FROM ${DATABASE_ALIAS}.users u JOIN campaigns c ON c.user_id = u.id"}`,
+            inputSchema: {
+                query: z.string().describe(`The SQL query to execute (SELECT statements only); PostgreSQL tables are under ${DATABASE_ALIAS}`),
+                tables: fileTablesSchema,
+                limit: z.number().optional().describe("Maximum number of rows to return (default: 100, max: 5000)"),
+                format: formatSchema,
+                environment: environmentArgument
+            },
+            outputSchema: queryResultShape
+        },
+        audited("federatedQuery", async ({ query, tables = [], limit = 100, format = "json", environment }, { sessionId }) => {
+            try {
+                logger.info('federatedQuery tool called', { query, tables, limit, format, environment });
+
+                const validation = await validateReadOnlyQuery(query, fileSqlGuard);
+                if (!validation.valid) {
+                    const error = `Query rejected for security reasons: ${validation.reason}`;
+                    logger.error('federatedQuery tool security check failed', { query, error });
+                    throw new Error(error);
+                }
+
+                if (limit > 5000) {
+                    const error = "Limit cannot exceed 5000 rows for performance reasons";
+                    logger.error('federatedQuery tool limit validation failed', { limit, error });
+                    throw new Error(error);
+                }
+
+                const target = database.getEnvironment(sessions.resolve(environment, sessionId));
+                if (!target.connectionString) {
+                    const error = `Environment ${target.name} has no connection string configured`;
+                    logger.error('federatedQuery tool environment validation failed', { environment: target.name, error });
+                    throw new Error(error);
+                }
+
+                // The statement is DuckDB SQL, so PostgreSQL cannot estimate its cost up front
+                await policies.check(validation.statement, { environment: target.name, planCost: false, catalog: DATABASE_ALIAS });
+                limit = policies.limit(target.name, limit);
+
+                const result = await masker.apply(await fileQuery.query(validation.statement, {
+                    limit,
+                    statementType: validation.statementType,
+                    tables,
+                    attach: {
+                        environment: target.name,
+                        connectionString: target.connectionString,
+                        statementTimeoutMillis: target.statementTimeoutMillis
+                    }
+                }), { environment: target.name, query: validation.statement, catalog: DATABASE_ALIAS });
+                logger.info('federatedQuery tool completed successfully', {
+                    query,
+                    environment: target.name,
+                    rowCount: result.rowCount,
+                    truncated: result.truncated
+                });
+
+                return {
+                    content: [
+                        {
+                            type: "text",
+                            text: formatFileQuerySummary(query, result, limit)
+                        },
+                        toFormattedContent(format, result.columns, result.rows)
+                    ],
+                    structuredContent: toQueryResult(result)
+                };
+            } catch (error) {
+                logger.error('federatedQuery tool failed', { query, error: error.message });
+                return {
+                    content: [
+                        {
+                            type: "text",
+                            text: `Error executing federated query: ${error.message}\n\nQuery: ${query}`
+                        }
+                    ],
+                    isError: true
+                };
+            }
+        })
+    );
+
+    server.registerTool("compareEnvironments",
+        {
+            title: "Compare Data Between Environments",
+            description: `Compare the rows of a table, or of a read-only query, between two environments (e.g. dev and prod).
+
+Rows are matched by key columns: the table's primary key by default, or 'keyColumns' (required for queries). 
+Reports row counts and their delta, keys only present on one side, and per-column value differences for changed rows. 
+Rows are hashed on the database side and grouped into chunks of about 'chunkSize' rows; only chunks whose hashes differ are fetched, so large identical tables are cheap to compare. 
+Columns present on only one side, and columns whose types differ, are reported as well.
+
+Examples:
+- {"left": "dev", "right": "prod", "table": "public.users"}
+- {"left": "dev", "right": "prod", "query": "SELECT id, status, total FROM orders WHERE created_at >= now() - interval '7 days'", "keyColumns": ["id"]}`,
+            inputSchema: {
+                left: z.string().describe("First environment"),
+                right: z.string().describe("Second environment"),
+                table: z.string().optional().describe("Table to compare, optionally schema-qualified (names are case-sensitive). Required unless 'query' is given"),
+                query: z.string().optional().describe("Read-only query whose rows are compared instead of a table"),
+                keyColumns: z.array(z.string()).optional().describe("Columns that identify a row (default: the table's primary key)"),
+                columns: z.array(z.string()).optional().describe("Columns to compare (default: all columns present in both environments)"),
+                chunkSize: z.number().int().positive().optional().describe("Approximate rows per hashed chunk (default: 10000)"),
+                maxDifferences: z.number().int().positive().max(1000).optional().describe("Maximum keys listed per kind of difference (default: 100, max: 1000)")
+            },
+            outputSchema: comparisonResultShape
+        },
+        audited("compareEnvironments", async ({ left, right, table, query, keyColumns, columns, chunkSize = 10000, maxDifferences = 100 }, { sessionId }) => {
+            try {
+                logger.info('compareEnvironments tool called', { left, right, table, query, keyColumns, columns });
+                // Both environments must be available to the session
+                [left, right].forEach(environment => sessions.resolve(environment, sessionId));
+
+                if ((table === undefined) === (query === undefined)) {
+                    const error = "Provide either 'table' or 'query'";
+                    logger.error('compareEnvironments tool input validation failed', { error });
+                    throw new Error(error);
+                }
+
+                let statement;
+                if (query !== undefined) {
+                    const validation = await validateReadOnlyQuery(query, config.sqlGuard);
+                    if (!validation.valid || validation.statementType === 'EXPLAIN') {
+                        const error = `Query rejected for security reasons: ${validation.reason || 'EXPLAIN output cannot be compared'}`;
+                        logger.error('compareEnvironments tool security check failed', { query, error });
+                        throw new Error(error);
+                    }
+                    statement = validation.statement;
+                }
+
+                for (const environment of [left, right]) {
+                    await policies.check(comparer.source({ table, query: statement }), { environment });
+                }
+
+                const comparison = await comparer.compare({
+                    left,
+                    right,
+                    table,
+                    query: statement,
+                    keyColumns,
+                    columns,
+                    chunkSize,
+                    maxDifferences
+                });
+                logger.info('compareEnvironments tool completed successfully', {
+                    left,
+                    right,
+                    identical: comparison.identical,
+                    durationMs: comparison.durationMs
+                });
+
+                return {
+                    content: [
+                        {
+                            type: "text",
+                            text: formatComparisonSummary(table || query, comparison)
+                        },
+                        {
+                            type: "text",
+                            text: JSON.stringify({
+                                onlyInLeft: comparison.onlyInLeft,
+                                onlyInRight: comparison.onlyInRight,
+                                changed: comparison.changed
+                            }, null, 2)
+                        }
+                    ],
+                    structuredContent: comparison
+                };
+            } catch (error) {
+                logger.error('compareEnvironments tool failed', { left, right, table, query, error: error.message });
+                return {
+                    content: [
+                        {
+                            type: "text",
+                            text: `Error comparing environments: ${error.message}\n\nEnvironments: ${left} vs ${right}\n${table ? `Table: ${table}` : `Query: ${query}`}`
+                        }
+                    ],
+                    isError: true
+                };
+            }
+        })
+    );
+
+    server.registerTool("diffSchemas",
+        {
+            title: "Compare Schemas Between Environments",
+            description: `Compare the database schemas of two environments (e.g. dev and prod) to find drift.
+
+Reports schemas, tables, columns (type, nullability, default), indexes, constraints, views and functions that exist in only one environment or differ between them. 
+Objects created by extensions (and the columns, indexes and constraints of their tables) are ignored. By default all non-system schemas are compared; pass 'schemas' to restrict the comparison.
+
+With includeDdl, also returns the DDL statements that would make the right environment match the left one. 
+The DDL is returned as text for review and is never executed; destructive statements (DROP TABLE/COLUMN/SCHEMA) are listed last.
+
+Example: {"left": "dev", "right": "prod", "schemas": ["public"], "includeDdl": true}`,
+            inputSchema: {
+                left: z.string().describe("Environment whose schema is the reference (e.g. dev)"),
+                right: z.string().describe("Environment compared against it (e.g. prod)"),
+                schemas: z.array(z.string()).optional().describe("Schemas to compare (default: all non-system schemas)"),
+                includeDdl: z.boolean().optional().describe("Also return DDL that would make right match left (default: false)")
+            },
+            outputSchema: schemaDiffResultShape
+        },
+        audited("diffSchemas", async ({ left, right, schemas, includeDdl = false }, { sessionId }) => {
+            try {
+                logger.info('diffSchemas tool called', { left, right, schemas, includeDdl });
+                [left, right].forEach(environment => sessions.resolve(environment, sessionId));
+
+                for (const environment of [left, right]) {
+                    await policies.confirm(environment, `Compare the schema of ${left} with ${right}? This reads the catalog of the ${environment} environment.`);
+                }
+                const diff = await schemaDiffer.diff({ left, right, schemas, includeDdl });
+                logger.info('diffSchemas tool completed successfully', { left, right, identical: diff.identical });
+
+                const content = [
+                    {
+                        type: "text",
+                        text: formatSchemaDiffSummary(diff)
                     }
+                ];
+                if (includeDdl) {
+                    content.push({
+                        type: "text",
+                        text: diff.ddl.length > 0
+                            ? `-- Statements that would make ${right} match ${left}. Review before running; they were not executed.\n${diff.ddl.join('\n\n')}`
+                            : `-- No DDL needed: ${right} already matches ${left}`
+                    });
                 }
-                
-                // Add query context to the error
-                errorMessage += `\n\nQuery: ${query}\n\n ${error.stack}`;
-                
+                return {
+                    content,
+                    structuredContent: diff
+                };
+            } catch (error) {
+                logger.error('diffSchemas tool failed', { left, right, schemas, error: error.message });
                 return {
                     content: [
                         {
                             type: "text",
-                            text: errorMessage,
+                            text: `Error comparing schemas: ${error.message}\n\nEnvironments: ${left} vs ${right}`
                         }
-                    ]
+                    ],
+                    isError: true
                 };
             }
-        }
+        })
     );
 
     server.registerTool("analyze",
         {
             title: "PostgreSQL Query Analysis",
             description: `Execute a PostgreSQL query and analyze the results using safe JavaScript code. 
-ALL QUERIES MUST INCLUDE A LIMIT CLAUSE for safety. 
-The analysis code runs in a sandboxed environment with access to the query results and the danfojs library for data manipulation. 
+The server caps the number of rows fetched (see 'limit'), so the query does not need a LIMIT clause. 
+The analysis code runs in an isolated sandbox (separate process, no require/process/eval, time and memory limits) with access to the query results and the danfojs library for data manipulation. 
 Use the 'data' variable to access the results array and 'dfd' for advanced data operations like filtering, grouping, and statistical analysis. 
 Perfect for data aggregation, filtering, transformation, and statistical analysis. 
 
+The code is the body of an async function, so it can use 'await', and the returned value is awaited. 
+danfojs DataFrames and Series in the result are converted to arrays of row objects (with an 'index' column when the index is not 0..n-1). 
+
 Usage Examples:
 - Basic count: 'return data.length;'
 - Basic map: 'return data.map(row => row.name);'
@@ -318,32 +1346,58 @@ Usage Examples:
 - Grouping: 'return dfd.DataFrame(data).groupby("category").sum();'
 - Statistical analysis: 'return dfd.DataFrame(data).corr();'
 
-Note: For security reasons, the following code patterns are not allowed: 
-- system access (process.env, global)
-- code execution (eval, Function, require, import) 
-- timers (setTimeout, setInterval)
-- network requests (fetch, XMLHttpRequest)
-- database operations (query, connect, pool, pg).`,
+Instead of 'code', pass 'steps': an ordered list of { name, code } run one after another in the same sandbox. 
+Each step can read the outputs of earlier steps through 'steps', e.g. 
+[{ "name": "adults", "code": "return new dfd.DataFrame(data).query(\"age >= 18\");" }, { "name": "summary", "code": "return steps.adults.describe();" }]. 
+Earlier outputs are passed as-is, so DataFrames stay DataFrames. Every step's output is returned, and 'format' applies to the last one. 
+
+To compare several result sets, pass 'queries' instead of 'query': a map of names to SQL (or { query, environment }). 
+Each query is validated and limited like 'query', and they run in parallel. The code reads them as 'datasets', e.g. 
+{ "orders": "SELECT ...", "refunds": "SELECT ..." } with 'return { orders: datasets.orders.length, refunds: datasets.refunds.length };', 
+or { "dev": { "query": "SELECT count(*) FROM users", "environment": "dev" }, "prod": { "query": "SELECT count(*) FROM users", "environment": "prod" } }. 
+'data' is not set in that case. 
+
+Note: The sandbox has no access to the file system, network, timers or the database connection. 
+Code that references process, global/globalThis, eval, Function, require, import or constructor chains is rejected up front. 
+Code that runs longer than the configured time limit (default 10 seconds) or exceeds the memory limit is stopped.`,
             inputSchema: {
-                query: z.string().describe("The SQL query to execute (SELECT statements only). MUST include LIMIT clause. Example: 'SELECT * FROM sales WHERE date >= CURRENT_DATE - INTERVAL 30 days LIMIT 100'"),
-                code: z.string().describe("JavaScript code to analyze the query results. Use 'data' variable to access results array and 'dfd' for data operations. Examples: 'return data.length;' or 'return dfd.DataFrame(data).describe();'"),
-                limit: z.number().optional().describe("Maximum number of rows to return (default: 1000, max: 5000)")
-            }
+                query: z.string().optional().describe("The SQL query to execute (SELECT statements only). Example: 'SELECT * FROM sales WHERE date >= CURRENT_DATE - INTERVAL 30 days'. Required unless 'queries' is given"),
+                queries: z.record(datasetQuerySchema).optional().describe("Named queries to run in parallel instead of 'query', exposed to the code as datasets[name]. Each is a SQL string or { query, environment }"),
+                code: z.string().optional().describe("JavaScript code to analyze the query results. Use 'data' variable to access results array and 'dfd' for data operations. Examples: 'return data.length;' or 'return dfd.DataFrame(data).describe();'. Required unless 'steps' is given"),
+                steps: z.array(analysisStepSchema).optional().describe("Ordered named analysis steps to run instead of 'code'; each step can reference earlier outputs as steps[name]"),
+                limit: z.number().optional().describe("Maximum number of rows to return (default: 1000, max: 5000)"),
+                format: formatSchema.describe("Output format when the analysis returns an array of row objects: json, ndjson, csv, markdown (table), or arrow (base64 Arrow IPC stream). Other results are always returned as JSON (default: json)"),
+                environment: environmentArgument.describe("Environment to run the query in, and named queries without their own environment (default: the session's current environment)")
+            },
+            outputSchema: analysisResultShape
         },
-        async ({ query, code, limit = 1000 }) => {
+        audited("analyze", async ({ query, queries, code, steps, limit = 1000, format = "json", environment }, { sessionId }) => {
             try {
-                logger.info('analyze tool called', { query, limit, codeLength: code.length });
+                logger.info('analyze tool called', { query, queries, limit, format, environment, codeLength: code?.length, steps: steps?.map(step => step.name) });
                 
-                if (!isReadOnlyQuery(query)) {
-                    const error = "Only SELECT, WITH, and EXPLAIN queries are allowed for security reasons";
-                    logger.error('analyze tool security check failed', { query, error });
+                if ((query === undefined) === (queries === undefined) || (queries && Object.keys(queries).length === 0)) {
+                    const error = "Provide either 'query' or a non-empty 'queries' map";
+                    logger.error('analyze tool input validation failed', { error });
                     throw new Error(error);
                 }
 
-                if (!hasLimitClause(query)) {
-                    const error = "All queries must include a LIMIT clause for safety reasons";
-                    logger.error('analyze tool limit check failed', { query, error });
-                    throw new Error(error);
+                const datasetQueries = queries
+                    ? Object.entries(queries).map(([name, definition]) => (
+                        typeof definition === "string" ? { name, query: definition } : { name, ...definition }
+                    ))
+                    : [{ name: null, query }];
+
+                for (const dataset of datasetQueries) {
+                    const validation = await validateReadOnlyQuery(dataset.query, config.sqlGuard);
+                    if (!validation.valid) {
+                        const label = dataset.name ? ` '${dataset.name}'` : '';
+                        const error = `Query${label} rejected for security reasons: ${validation.reason}`;
+                        logger.error('analyze tool security check failed', { query: dataset.query, error });
+                        throw new Error(error);
+                    }
+                    dataset.statementType = validation.statementType;
+                    dataset.statement = validation.statement;
+                    dataset.environment = sessions.resolve(dataset.environment ?? environment, sessionId);
                 }
 
                 if (limit > 5000) {
@@ -352,96 +1406,157 @@ Note: For security reasons, the following code patterns are not allowed:
                     throw new Error(error);
                 }
 
-                const safetyCheck = isSafeAnalysisCode(code);
-                if (!safetyCheck.safe) {
-                    const error = `Analysis code contains potentially dangerous patterns and is not allowed for security reasons. Blocked pattern: ${safetyCheck.blockedPattern}`;
-                    logger.error('analyze tool code safety check failed', { blockedPattern: safetyCheck.blockedPattern, error });
+                if ((code === undefined) === (steps === undefined) || steps?.length === 0) {
+                    const error = "Provide either 'code' or a non-empty 'steps' list";
+                    logger.error('analyze tool input validation failed', { error });
                     throw new Error(error);
                 }
 
-                const client = await database.pools[database.currentPool].connect();
-                try {
-                    const result = await client.query(query);
-
-                    // Handle no results
-                    if (!result || !result.rows) {
-                        logger.warn('analyze tool returned no data structure', { query });
-                        return {
-                            content: [
-                                {
-                                    type: "text",
-                                    text: "Query executed successfully but returned no data structure for analysis."
-                                }
-                            ]
-                        };
-                    }
+                const analysisSteps = steps ?? [{ name: "result", code }];
+                const names = analysisSteps.map(step => step.name);
+                const duplicate = names.find((name, position) => names.indexOf(name) !== position);
+                if (duplicate) {
+                    const error = `Step names must be unique: ${duplicate} is used more than once`;
+                    logger.error('analyze tool input validation failed', { error });
+                    throw new Error(error);
+                }
 
-                    // Handle empty results
-                    if (result.rows.length === 0) {
-                        logger.info('analyze tool returned no rows', { query });
-                        return {
-                            content: [
-                                {
-                                    type: "text",
-                                    text: `Analysis cannot proceed - query returned no rows.\n\nQuery: ${query}\n\nThis usually means:\n- No data matches your WHERE conditions\n- The table is empty\n- The LIMIT clause is too restrictive\n\nPlease modify your query to return data for analysis.`
-                                }
-                            ]
-                        };
+                for (const step of analysisSteps) {
+                    const safetyCheck = isSafeAnalysisCode(step.code);
+                    if (!safetyCheck.safe) {
+                        const location = steps ? ` (step '${step.name}')` : '';
+                        const error = `Analysis code${location} contains potentially dangerous patterns and is not allowed for security reasons. Blocked pattern: ${safetyCheck.blockedPattern}`;
+                        logger.error('analyze tool code safety check failed', { step: step.name, blockedPattern: safetyCheck.blockedPattern, error });
+                        throw new Error(error);
                     }
+                }
 
-                    const rows = result.rows.slice(0, limit);
-                    const totalRows = result.rows.length;
-                    const analyzedRows = rows.length;
+                // Policies are checked one query at a time so confirmations are asked in order
+                for (const dataset of datasetQueries) {
+                    await policies.check(dataset.statement, { environment: dataset.environment, statementType: dataset.statementType });
+                }
 
-                    logger.info('analyze tool executing analysis code', { 
-                        totalRows, 
-                        analyzedRows, 
-                        codeLength: code.length 
-                    });
+                // Named queries run in parallel, each on its own pooled connection
+                const results = await Promise.all(datasetQueries.map(dataset =>
+                    database.readQuery(dataset.query, {
+                        limit: policies.limit(dataset.environment, limit),
+                        statementType: dataset.statementType,
+                        environment: dataset.environment
+                    }).then(read => masker.apply(read, { query: dataset.query })).catch(error => {
+                        if (dataset.name) {
+                            error.message = `Query '${dataset.name}' failed: ${error.message}`;
+                        }
+                        throw error;
+                    })
+                ));
+                const result = results[0];
+
+                // Handle empty results; with named queries an empty dataset can be a meaningful comparison
+                if (!queries && result.rows.length === 0) {
+                    logger.info('analyze tool returned no rows', { query });
+                    return {
+                        content: [
+                            {
+                                type: "text",
+                                text: `Analysis cannot proceed - query returned no rows.\n\nQuery: ${query}\n\nThis usually means:\n- No data matches your WHERE conditions\n- The table is empty\n\nPlease modify your query to return data for analysis.`
+                            }
+                        ],
+                        structuredContent: { ...toQueryMetadata(result), result: null }
+                    };
+                }
 
-                    // Create a safe execution environment for the analysis code
-                    // Using Function constructor with limited scope and danfojs access
-                    const analysisFunction = new Function('data', 'dfd', `
-          "use strict";
-          ${code}
-        `);
+                const input = queries
+                    ? { datasets: Object.fromEntries(datasetQueries.map((dataset, position) => [dataset.name, results[position].rows])) }
+                    : { data: result.rows };
 
-                    // Execute the analysis code with the query results and danfojs library
-                    const analysisResult = analysisFunction(rows, dfd);
+                logger.info('analyze tool executing analysis code', { 
+                    analyzedRows: results.reduce((total, entry) => total + entry.rowCount, 0), 
+                    truncated: results.some(entry => entry.truncated), 
+                    steps: names 
+                });
 
-                    logger.info('analyze tool completed successfully', { 
-                        query, 
-                        totalRows, 
-                        analyzedRows, 
-                        resultType: typeof analysisResult 
-                    });
+                // Runs in a separate process with time and memory limits; results come back JSON-serialized
+                const stepResults = await runAnalysisSteps(analysisSteps, input, config.analysis);
+                const analysisResult = stepResults[stepResults.length - 1].result;
+
+                logger.info('analyze tool completed successfully', { 
+                    query, 
+                    queries: datasetQueries.map(dataset => dataset.name).filter(Boolean), 
+                    resultType: typeof analysisResult 
+                });
 
-                    let resultText = `Analysis completed successfully.\n\n`;
+                let resultText = `Analysis completed successfully.\n\n`;
+                if (queries) {
+                    resultText += `Datasets:`;
+                    datasetQueries.forEach((dataset, position) => {
+                        const entry = results[position];
+                        resultText += `\n- ${dataset.name}: ${entry.rowCount} rows from ${entry.environment} in ${entry.durationMs}ms`;
+                        if (entry.truncated) {
+                            resultText += ` (truncated at the limit of ${entry.rowCount})`;
+                        }
+                        if (entry.maskedColumns.length > 0) {
+                            resultText += `, masked: ${entry.maskedColumns.map(masked => masked.column).join(', ')}`;
+                        }
+                    });
+                } else {
                     resultText += `Query: ${query}\n`;
-                    resultText += `Total rows returned: ${totalRows}\n`;
-                    resultText += `Rows analyzed: ${analyzedRows}`;
-                    
-                    if (totalRows > analyzedRows) {
-                        resultText += ` (limited by max ${limit} rows)`;
+                    resultText += `Environment: ${result.environment}\n`;
+                    resultText += `Rows analyzed: ${result.rowCount}`;
+
+                    if (result.truncated) {
+                        resultText += ` (truncated: more rows are available beyond the limit of ${result.rowCount})`;
                     }
-                    
-                    resultText += `\n\nAnalysis result:\n${JSON.stringify(analysisResult, null, 2)}`;
 
-                    return {
-                        content: [
-                            {
-                                type: "text",
-                                text: resultText
-                            }
-                        ]
+                    resultText += `\nExecution time: ${result.durationMs}ms`;
+                    resultText += formatMaskedColumns(result.maskedColumns);
+                }
+                if (steps) {
+                    resultText += `\nSteps: ${names.join(', ')} (the last step's result is shown last)`;
+                }
+
+                // Earlier steps are always shown as JSON; 'format' applies to the final result
+                const stepContent = steps ? stepResults.slice(0, -1).map(step => ({
+                    type: "text",
+                    text: `Step '${step.name}':\n${JSON.stringify(step.result, null, 2)}`
+                })) : [];
+
+                const serializedResult = JSON.stringify(analysisResult, null, 2);
+                let resultContent;
+                if (isTabular(analysisResult)) {
+                    resultContent = toFormattedContent(format, inferColumns(analysisResult), analysisResult);
+                } else {
+                    if (format !== 'json') {
+                        resultText += `\nNote: the analysis result is not an array of rows, so it is returned as JSON instead of ${format}`;
+                    }
+                    resultContent = {
+                        type: "text",
+                        text: serializedResult
                     };
-                } finally {
-                    client.release();
                 }
+
+                return {
+                    content: [
+                        {
+                            type: "text",
+                            text: resultText
+                        },
+                        ...stepContent,
+                        resultContent
+                    ],
+                    structuredContent: {
+                        ...(queries
+                            ? { datasets: Object.fromEntries(datasetQueries.map((dataset, position) => [dataset.name, toQueryMetadata(results[position])])) }
+                            : toQueryMetadata(result)),
+                        result: analysisResult,
+                        ...(steps ? { steps: stepResults } : {})
+                    }
+                };
             } catch (error) {
                 logger.error('analyze tool failed', { 
                     query, 
+                    queries, 
                     code, 
+                    steps, 
                     limit, 
                     error: error.message,
                     errorCode: error.code,
@@ -459,6 +1574,9 @@ Note: For security reasons, the following code patterns are not allowed:
                         case '42703': // undefined_column
                             errorMessage = `Column not found: ${error.message}\n\nThis usually means:\n- The column name is misspelled\n- The column doesn't exist in the table\n- You need to check the table structure`;
                             break;
+                        case '57014': // query_canceled (statement_timeout)
+                            errorMessage = `Query timed out: ${error.message}\n\nThe query exceeded the statement timeout configured for this environment. Try:\n- Adding more selective WHERE conditions\n- Using indexed columns in filters and joins\n- Aggregating on the server instead of fetching raw rows`;
+                            break;
                         case '42601': // syntax_error
                             errorMessage = `SQL syntax error: ${error.message}\n\nPlease check:\n- SQL syntax is correct\n- All parentheses are properly closed\n- Keywords are spelled correctly`;
                             break;
@@ -475,7 +1593,10 @@ Note: For security reasons, the following code patterns are not allowed:
                 }
                 
                 // Add context to the error
-                errorMessage += `\n\nQuery: ${query}\nAnalysis code: ${code}`;
+                errorMessage += queries ? `\n\nQueries: ${Object.keys(queries).join(', ')}\n` : `\n\nQuery: ${query}\n`;
+                errorMessage += steps
+                    ? `Analysis steps: ${steps.map(step => step.name).join(', ')}`
+                    : `Analysis code: ${code}`;
                 
                 return {
                     content: [
@@ -483,10 +1604,11 @@ Note: For security reasons, the following code patterns are not allowed:
                             type: "text",
                             text: errorMessage
                         }
-                    ]
+                    ],
+                    isError: true
                 };
             }
-        }
+        })
     );
 
 
@@ -510,21 +1632,22 @@ The AI will:
 4. Provide insights and recommendations`,
             inputSchema: {
                 question: z.string().describe("Your question about the data in natural language"),
-                limit: z.number().optional().describe("Maximum number of rows to return (default: 1000, max: 5000)")
+                limit: z.number().optional().describe("Maximum number of rows to return (default: 1000, max: 5000)"),
+                environment: environmentArgument
             }
         },
-        async ({ question, limit = 1000 }) => {
+        audited("dataInsights", async ({ question, limit = 1000, environment }, { sessionId }) => {
             try {
-                logger.info('dataInsights tool called', { question, limit });
+                logger.info('dataInsights tool called', { question, limit, environment });
+                const target = sessions.resolve(environment, sessionId);
                 
                 // First, use AI to generate a safe SQL query
                 const queryGenerationPrompt = `Given this question about a database: "${question}"
 
 Generate a safe SQL query that:
 1. Only uses SELECT statements (no INSERT, UPDATE, DELETE)
-2. Includes a LIMIT clause for safety
-3. Uses appropriate table names and column names
-4. Is optimized for performance
+2. Uses appropriate table names and column names
+3. Is optimized for performance
 
 Return ONLY the SQL query, nothing else.`;
 
@@ -544,34 +1667,39 @@ Return ONLY the SQL query, nothing else.`;
 
                 const generatedQuery = queryResponse.content.type === "text" ? queryResponse.content.text.trim() : null;
 
-                if (!generatedQuery || !isReadOnlyQuery(generatedQuery)) {
+                if (!generatedQuery) {
                     const error = "Unable to generate a safe SQL query for your question";
                     logger.error('dataInsights tool failed to generate safe query', { question, generatedQuery, error });
                     throw new Error(error);
                 }
 
-                logger.info('dataInsights tool generated query', { generatedQuery });
-
-                // Ensure the query has a LIMIT clause
-                const queryWithLimit = generatedQuery.toLowerCase().includes('limit')
-                    ? generatedQuery
-                    : `${generatedQuery} LIMIT ${limit}`;
+                const validation = await validateReadOnlyQuery(generatedQuery, config.sqlGuard);
+                if (!validation.valid) {
+                    const error = `Unable to generate a safe SQL query for your question: ${validation.reason}`;
+                    logger.error('dataInsights tool failed to generate safe query', { question, generatedQuery, error });
+                    throw new Error(error);
+                }
 
-                const client = await database.pools[database.currentPool].connect();
-                try {
-                    const result = await client.query(queryWithLimit);
-                    const rows = result.rows.slice(0, limit);
+                logger.info('dataInsights tool generated query', { generatedQuery });
 
-                    logger.info('dataInsights tool executed query', { 
-                        queryWithLimit, 
-                        rowCount: result.rows.length,
-                        limitedRows: rows.length 
-                    });
+                await policies.check(validation.statement, { environment: target, statementType: validation.statementType });
+                limit = policies.limit(target, limit);
+                const result = await masker.apply(
+                    await database.readQuery(generatedQuery, { limit, statementType: validation.statementType, environment: target }),
+                    { query: generatedQuery }
+                );
+                const rows = result.rows;
+
+                logger.info('dataInsights tool executed query', { 
+                    generatedQuery, 
+                    rowCount: result.rowCount,
+                    truncated: result.truncated 
+                });
 
-                    // Use AI to analyze the results and answer the original question
-                    const analysisPrompt = `Original Question: "${question}"
+                // Use AI to analyze the results and answer the original question
+                const analysisPrompt = `Original Question: "${question}"
 
-Query executed: ${queryWithLimit}
+Query executed: ${generatedQuery}${result.truncated ? ` (results truncated to ${limit} rows)` : ''}${formatMaskedColumns(result.maskedColumns)}
 Results: ${JSON.stringify(rows, null, 2)}
 
 Please provide a comprehensive answer to the original question based on this data. Include:
@@ -583,32 +1711,30 @@ Please provide a comprehensive answer to the original question based on this dat
 
 Format your response clearly and professionally.`;
 
-                    logger.info('dataInsights tool generating analysis', { question });
-                    const analysisResponse = await server.server.createMessage({
-                        messages: [
-                            {
-                                role: "user",
-                                content: {
-                                    type: "text",
-                                    text: analysisPrompt,
-                                },
+                logger.info('dataInsights tool generating analysis', { question });
+                const analysisResponse = await server.server.createMessage({
+                    messages: [
+                        {
+                            role: "user",
+                            content: {
+                                type: "text",
+                                text: analysisPrompt,
                             },
-                        ],
-                        maxTokens: 2000,
-                    });
+                        },
+                    ],
+                    maxTokens: 2000,
+                });
 
-                    logger.info('dataInsights tool completed successfully', { question });
-                    return {
-                        content: [
-                            {
-                                type: "text",
-                                text: analysisResponse.content.type === "text" ? analysisResponse.content.text : "Unable to generate insights"
-                            }
-                        ]
-                    };
-                } finally {
-                    client.release();
-                }
+                logger.info('dataInsights tool completed successfully', { question });
+                return {
+                    content: [
+                        {
+                            type: "text",
+                            text: (analysisResponse.content.type === "text" ? analysisResponse.content.text : "Unable to generate insights") +
+                                formatMaskedColumns(result.maskedColumns)
+                        }
+                    ]
+                };
             } catch (error) {
                 logger.error('dataInsights tool failed', { 
                     question, 
@@ -625,7 +1751,7 @@ Format your response clearly and professionally.`;
                     ]
                 };
             }
-        }
+        })
     );
 
     server.registerTool("dataReport",
@@ -641,57 +1767,58 @@ Report types:
 - Comparative Analysis: Benchmarks and comparisons
 - Custom: Specify your own report focus`,
             inputSchema: {
-                query: z.string().describe("The SQL query to execute (SELECT statements only). MUST include LIMIT clause."),
+                query: z.string().describe("The SQL query to execute (SELECT statements only)."),
                 reportType: z.enum(["executive", "performance", "trend", "comparative", "custom"]).describe("Type of report to generate"),
                 customFocus: z.string().optional().describe("Custom focus area for the report (required if reportType is 'custom')"),
-                limit: z.number().optional().describe("Maximum number of rows to return (default: 1000, max: 5000)")
-            }
+                limit: z.number().optional().describe("Maximum number of rows to return (default: 1000, max: 5000)"),
+                environment: environmentArgument
+            },
+            outputSchema: reportResultShape
         },
-        async ({ query, reportType, customFocus, limit = 1000 }) => {
+        audited("dataReport", async ({ query, reportType, customFocus, limit = 1000, environment }, { sessionId }) => {
             try {
-                logger.info('dataReport tool called', { query, reportType, customFocus, limit });
+                logger.info('dataReport tool called', { query, reportType, customFocus, limit, environment });
                 
-                if (!isReadOnlyQuery(query)) {
-                    const error = "Only SELECT, WITH, and EXPLAIN queries are allowed for security reasons";
+                const validation = await validateReadOnlyQuery(query, config.sqlGuard);
+                if (!validation.valid) {
+                    const error = `Query rejected for security reasons: ${validation.reason}`;
                     logger.error('dataReport tool security check failed', { query, error });
                     throw new Error(error);
                 }
 
-                if (!hasLimitClause(query)) {
-                    const error = "All queries must include a LIMIT clause for safety reasons";
-                    logger.error('dataReport tool limit check failed', { query, error });
-                    throw new Error(error);
-                }
-
                 if (limit > 5000) {
                     const error = "Limit cannot exceed 5000 rows for performance reasons";
                     logger.error('dataReport tool limit validation failed', { limit, error });
                     throw new Error(error);
                 }
 
-                const client = await database.pools[database.currentPool].connect();
-                try {
-                    const result = await client.query(query);
-                    const rows = result.rows.slice(0, limit);
+                const target = sessions.resolve(environment, sessionId);
+                await policies.check(validation.statement, { environment: target, statementType: validation.statementType });
+                limit = policies.limit(target, limit);
+                const result = await masker.apply(
+                    await database.readQuery(query, { limit, statementType: validation.statementType, environment: target }),
+                    { query }
+                );
+                const rows = result.rows;
 
-                    logger.info('dataReport tool executed query', { 
-                        query, 
-                        rowCount: result.rows.length,
-                        limitedRows: rows.length,
-                        reportType 
-                    });
+                logger.info('dataReport tool executed query', { 
+                    query, 
+                    rowCount: result.rowCount,
+                    truncated: result.truncated,
+                    reportType 
+                });
 
-                    const reportPrompts = {
-                        executive: "Create an executive summary report focusing on high-level business insights, key metrics, and strategic recommendations.",
-                        performance: "Create a performance analysis report with detailed metrics, KPIs, benchmarks, and performance trends.",
-                        trend: "Create a trend analysis report identifying patterns, seasonal variations, growth trends, and forecasting insights.",
-                        comparative: "Create a comparative analysis report with benchmarks, competitive analysis, and relative performance metrics.",
-                        custom: `Create a custom report focusing on: ${customFocus}`
-                    };
+                const reportPrompts = {
+                    executive: "Create an executive summary report focusing on high-level business insights, key metrics, and strategic recommendations.",
+                    performance: "Create a performance analysis report with detailed metrics, KPIs, benchmarks, and performance trends.",
+                    trend: "Create a trend analysis report identifying patterns, seasonal variations, growth trends, and forecasting insights.",
+                    comparative: "Create a comparative analysis report with benchmarks, competitive analysis, and relative performance metrics.",
+                    custom: `Create a custom report focusing on: ${customFocus}`
+                };
 
-                    const reportPrompt = `Generate a professional ${reportType} report based on this data:
+                const reportPrompt = `Generate a professional ${reportType} report based on this data:
 
-Query: ${query}
+Query: ${query}${result.truncated ? ` (results truncated to ${limit} rows)` : ''}${formatMaskedColumns(result.maskedColumns)}
 Data: ${JSON.stringify(rows, null, 2)}
 
 ${reportPrompts[reportType]}
@@ -705,32 +1832,36 @@ Structure the report with:
 
 Use professional business language and include specific data points and insights.`;
 
-                    logger.info('dataReport tool generating report', { reportType, customFocus });
-                    const response = await server.server.createMessage({
-                        messages: [
-                            {
-                                role: "user",
-                                content: {
-                                    type: "text",
-                                    text: reportPrompt,
-                                },
+                logger.info('dataReport tool generating report', { reportType, customFocus });
+                const response = await server.server.createMessage({
+                    messages: [
+                        {
+                            role: "user",
+                            content: {
+                                type: "text",
+                                text: reportPrompt,
                             },
-                        ],
-                        maxTokens: 3000,
-                    });
+                        },
+                    ],
+                    maxTokens: 3000,
+                });
 
-                    logger.info('dataReport tool completed successfully', { reportType });
-                    return {
-                        content: [
-                            {
-                                type: "text",
-                                text: response.content.type === "text" ? response.content.text : "Unable to generate report"
-                            }
-                        ]
-                    };
-                } finally {
-                    client.release();
-                }
+                const report = response.content.type === "text" ? response.content.text : "Unable to generate report";
+
+                logger.info('dataReport tool completed successfully', { reportType });
+                return {
+                    content: [
+                        {
+                            type: "text",
+                            text: report + formatMaskedColumns(result.maskedColumns)
+                        }
+                    ],
+                    structuredContent: {
+                        ...toQueryResult(result),
+                        reportType,
+                        report
+                    }
+                };
             } catch (error) {
                 logger.error('dataReport tool failed', { 
                     query, 
@@ -746,16 +1877,17 @@ Use professional business language and include specific data points and insights
                             type: "text",
                             text: `Error generating report: ${error.message}`
                         }
-                    ]
+                    ],
+                    isError: true
                 };
             }
-        }
+        })
     );
 
     server.registerTool("healthCheck",
         {
             title: "Database Health Check",
-            description: `Check the health and connectivity of the current database environment.
+            description: `Check the health and connectivity of the current database environment, or of the one named by 'environment'.
 This tool tests the database connection by executing a simple query and returns detailed health information.
 
 Returns information about:
@@ -763,12 +1895,14 @@ Returns information about:
 - Current environment
 - Error details if connection fails
 - Connection pool status`,
-            inputSchema: {}
+            inputSchema: {
+                environment: environmentArgument.describe("Environment to check (default: the session's current environment)")
+            }
         },
-        async () => {
+        audited("healthCheck", async ({ environment }, { sessionId }) => {
             try {
-                logger.info('healthCheck tool called');
-                const healthResult = await database.healthCheck();
+                logger.info('healthCheck tool called', { environment });
+                const healthResult = await database.healthCheck(sessions.resolve(environment, sessionId));
                 
                 logger.info('healthCheck tool completed', { 
                     healthy: healthResult.healthy,
@@ -817,8 +1951,144 @@ Returns information about:
                     ]
                 };
             }
-        }
+        })
+    );
+
+    server.registerTool("auditSearch",
+        {
+            title: "Search Audit Log",
+            description: `Search the audit log of tool calls made through this server (${config.audit.file}).
+
+Every tool call is recorded with its timestamp, MCP session and client, tool, environment, SQL (as given and normalized with constants replaced by $n), parameters, row count, duration, masked columns and outcome. 
+Filters are combined; results are newest first. Use an entry's id with replayQuery to run it again.
+
+Example: {"tool": "query", "environment": "prod", "outcome": "error", "since": "2024-06-01T00:00:00Z"}`,
+            inputSchema: {
+                tool: z.string().optional().describe("Only calls of this tool"),
+                environment: z.string().optional().describe("Only calls against this environment"),
+                sessionId: z.string().optional().describe("Only calls from this MCP session"),
+                outcome: z.enum(["success", "error"]).optional().describe("Only successful or only failed calls"),
+                text: z.string().optional().describe("Case-insensitive text to find in the SQL, parameters or error"),
+                since: timestampSchema.optional().describe("Only calls at or after this ISO-8601 timestamp or date"),
+                until: timestampSchema.optional().describe("Only calls at or before this ISO-8601 timestamp or date"),
+                limit: z.number().int().positive().max(500).optional().describe("Maximum number of entries to return (default: 50, max: 500)")
+            },
+            outputSchema: auditSearchResultShape
+        },
+        audited("auditSearch", async ({ tool, environment, sessionId, outcome, text, since, until, limit = 50 }, extra) => {
+            try {
+                logger.info('auditSearch tool called', { tool, environment, sessionId, outcome, text, since, until, limit });
+
+                // Sessions limited to some environments only see calls against those
+                const entries = await auditLog.search({
+                    tool, environment, sessionId, outcome, text, since, until, limit,
+                    caller: extra.sessionId
+                });
+                logger.info('auditSearch tool completed successfully', { count: entries.length });
+
+                return {
+                    content: [
+                        {
+                            type: "text",
+                            text: entries.length > 0
+                                ? `Found ${entries.length} audit entries (newest first):\n\n${entries.map(formatAuditEntry).join('\n\n')}`
+                                : `No audit entries match the filters.${config.audit.enabled ? '' : ' Audit logging is disabled in the config.'}`
+                        }
+                    ],
+                    structuredContent: {
+                        entries,
+                        count: entries.length
+                    }
+                };
+            } catch (error) {
+                logger.error('auditSearch tool failed', { error: error.message });
+                return {
+                    content: [
+                        {
+                            type: "text",
+                            text: `Error searching the audit log: ${error.message}`
+                        }
+                    ],
+                    isError: true
+                };
+            }
+        })
     );
 
+    server.registerTool("replayQuery",
+        {
+            title: "Replay Audited Query",
+            description: `Run an audited tool call again, by its audit entry id (see auditSearch).
+
+The call is replayed with its recorded parameters through the same tool, so validation, environment policies and masking apply as they do today. 
+Pass 'environment' to run it against a different environment, e.g. to check a query from dev against staging. 
+Exports are written to a new file. The replay is recorded in the audit log as a new call.
 
+Replayable tools: ${REPLAYABLE_TOOLS.join(', ')}.
+
+Example: {"id": "6f1c2a3e-...", "environment": "staging"}`,
+            inputSchema: {
+                id: z.string().describe("Audit entry id of the call to replay"),
+                environment: z.string().optional().describe("Environment to run it against instead of the recorded one")
+            }
+        },
+        audited("replayQuery", async ({ id, environment }, extra) => {
+            try {
+                logger.info('replayQuery tool called', { id, environment });
+
+                const entry = await auditLog.find(id, extra.sessionId);
+                if (!entry) {
+                    const error = `Audit entry ${id} not found`;
+                    logger.error('replayQuery tool validation failed', { id, error });
+                    throw new Error(error);
+                }
+                if (!REPLAYABLE_TOOLS.includes(entry.tool)) {
+                    const error = `Calls of ${entry.tool} cannot be replayed. Replayable tools: ${REPLAYABLE_TOOLS.join(', ')}`;
+                    logger.error('replayQuery tool validation failed', { id, tool: entry.tool, error });
+                    throw new Error(error);
+                }
+                if (environment && entry.tool === "queryFiles") {
+                    const error = "queryFiles calls only read local files and do not take an environment";
+                    logger.error('replayQuery tool validation failed', { id, error });
+                    throw new Error(error);
+                }
+
+                // Exports get a new file name, and naming the environment keeps the replay on the recorded one
+                // even if the session has switched environments since
+                const { fileName, ...recorded } = entry.parameters;
+                const parameters = entry.tool === "queryFiles"
+                    ? recorded
+                    : { ...recorded, environment: environment ?? entry.environment ?? undefined };
+                const result = await auditLog.handler(server.server, entry.tool)(parameters, extra);
+                const rowCount = result.structuredContent?.rowCount;
+
+                let summary = `Replayed ${entry.tool} call ${entry.id} from ${entry.timestamp}`;
+                summary += `\nOriginal: ${entry.outcome}${entry.environment ? ` on ${entry.environment}` : ''}${entry.rowCount !== null ? `, ${entry.rowCount} rows` : ''}`;
+                summary += `\nReplay: ${result.isError ? 'error' : 'success'}${parameters.environment ? ` on ${parameters.environment}` : ''}${rowCount !== undefined ? `, ${rowCount} rows` : ''}`;
+                logger.info('replayQuery tool completed', { id, tool: entry.tool, isError: Boolean(result.isError) });
+
+                return {
+                    content: [
+                        {
+                            type: "text",
+                            text: summary
+                        },
+                        ...result.content
+                    ],
+                    ...(result.isError ? { isError: true } : {})
+                };
+            } catch (error) {
+                logger.error('replayQuery tool failed', { id, error: error.message });
+                return {
+                    content: [
+                        {
+                            type: "text",
+                            text: `Error replaying audited call: ${error.message}`
+                        }
+                    ],
+                    isError: true
+                };
+            }
+        })
+    );
 };